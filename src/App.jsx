@@ -1,10 +1,44 @@
-import React, { useState, useCallback } from 'react'
-import { Box, Container, Typography, Button, Alert, CircularProgress, IconButton, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper } from '@mui/material'
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react'
+import { Box, Container, Typography, Button, Alert, CircularProgress, IconButton } from '@mui/material'
 import { motion, AnimatePresence } from 'framer-motion'
 import { Toaster, toast } from 'sonner'
-import { CloudUpload, FileText, Download, RotateCcw, Check, Edit2, Loader2, HelpCircle, X, FileSpreadsheet } from 'lucide-react'
+import { CloudUpload, FileText, Download, RotateCcw, Check, Edit2, Loader2, HelpCircle, X, FileSpreadsheet, ArrowRightLeft, Sparkles, Columns2, GitCompare, Braces } from 'lucide-react'
 import { styled } from '@mui/material/styles'
+import { format as formatDate } from 'date-fns'
 import Sidebar from './components/Sidebar'
+import UploadQueue from './components/UploadQueue'
+import CsvPreviewTable from './components/CsvPreviewTable'
+import EditableCsvGrid from './components/EditableCsvGrid'
+import TallyExportSettings from './components/TallyExportSettings'
+import CsvDialectSettings from './components/CsvDialectSettings'
+import FilenameTemplateSettings from './components/FilenameTemplateSettings'
+import ColumnMapper from './components/ColumnMapper'
+import CleanupRulesPanel from './components/CleanupRulesPanel'
+import ValidationSummary from './components/ValidationSummary'
+import TotalsPanel from './components/TotalsPanel'
+import AnnotationRowsPanel from './components/AnnotationRowsPanel'
+import PageRepairPanel from './components/PageRepairPanel'
+import ExpirySummary from './components/ExpirySummary'
+import ReviewPane from './components/ReviewPane'
+import CompareDialog from './components/CompareDialog'
+import { useUploadQueue } from './hooks/useUploadQueue'
+import { useEditableTable } from './hooks/useEditableTable'
+import { getJobResult, getJobFileId, getFileContent } from './api'
+import { parseCsv, parseCsvWithReport } from './utils/csv'
+import { EXPORT_FORMATS, buildExport, getExportFormat, stripExportExtension } from './utils/exporters'
+import { DEFAULT_TALLY_SETTINGS } from './utils/tally'
+import { isDefaultCsvDialect, loadCsvDialect, saveCsvDialect } from './utils/csvDialect'
+import { applyColumnMapping, findTemplateForHeader, isMappingCompatible } from './utils/columnMapping'
+import { repairPageBreaks } from './utils/pageRepair'
+import { applyAnnotationHandling } from './utils/annotations'
+import { applyCleanupRules, loadCleanupSettings, saveCleanupSettings } from './utils/cleanupRules'
+import { summarizeInvoice } from './utils/totals'
+import { DEFAULT_WARN_MONTHS, EXPIRY_COLORS, analyzeExpiry, buildExpiryReport } from './utils/expiry'
+import { DEFAULT_VALIDATION_OPTIONS, validateRows, groupIssuesByCell, buildValidationReport } from './utils/validation'
+import { buildAccuracyReport } from './utils/compare'
+import { saveBlob } from './utils/download'
+import { applyFilenameTemplate, extractFilenameDetails, loadFilenameTemplate, sanitizeFilename, saveFilenameTemplate } from './utils/filenames'
+import { loadJSON, saveJSON, removeStored } from './utils/storage'
 
 // Framer Motion Variants
 const dropZoneVariants = {
@@ -30,6 +64,23 @@ const steps = [
   { id: 3, label: 'Export' }
 ]
 
+// Number of invoices converted in parallel when several files are dropped at once
+const BATCH_CONCURRENCY = 3
+
+// The finished job currently shown, restored after a page reload
+const ACTIVE_RESULT_KEY = 'pdf_csv_active_result'
+const EXPORT_FORMAT_KEY = 'pdf_csv_export_format'
+const TALLY_SETTINGS_KEY = 'pdf_csv_tally_settings'
+// Invoice number and date belong to one invoice, only the ledger setup is remembered
+const PER_INVOICE_TALLY_FIELDS = ['voucherNumber', 'voucherDate']
+const VALIDATION_OPTIONS_KEY = 'pdf_csv_validation_options'
+const ANNOTATION_ACTION_KEY = 'pdf_csv_annotation_action'
+const EXPIRY_WARN_MONTHS_KEY = 'pdf_csv_expiry_warn_months'
+
+// Column mapping chosen for a result that keeps the columns as extracted
+const ORIGINAL_COLUMNS = { mapping: null, templateName: null }
+const EMPTY_PRINTED_TOTALS = { taxable: '', grandTotal: '' }
+
 // Custom styled button with gradient
 const GradientButton = styled(Button)(({ theme }) => ({
   background: 'linear-gradient(180deg, #2579E3 0%, #8E54F7 100%) !important',
@@ -65,12 +116,21 @@ const PDFtoCSV = () => {
   // UX States
   const [downloadUrl, setDownloadUrl] = useState(null)
   const [currentJobId, setCurrentJobId] = useState(null)
+  // Set instead of a job id when a past conversion is reopened from the history sidebar
+  const [currentFileId, setCurrentFileId] = useState(null)
+  const [storedFileInfo, setStoredFileInfo] = useState(null)
+  const resultKey = currentJobId || (currentFileId ? `file_${currentFileId}` : null)
   const [error, setError] = useState(null)
   const [dragActive, setDragActive] = useState(false)
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const [lastUploadedFileName, setLastUploadedFileName] = useState('')
   const [previewUrl, setPreviewUrl] = useState(null)
   const [downloadName, setDownloadName] = useState('')
+  const [exportFormat, setExportFormat] = useState(() => getExportFormat(loadJSON(EXPORT_FORMAT_KEY)).id)
+  const [tallySettings, setTallySettings] = useState(() => ({ ...DEFAULT_TALLY_SETTINGS, ...loadJSON(TALLY_SETTINGS_KEY, {}) }))
+  const [csvDialect, setCsvDialect] = useState(loadCsvDialect)
+  const [filenameTemplate, setFilenameTemplate] = useState(loadFilenameTemplate)
+  const [isFilenameTemplateOpen, setIsFilenameTemplateOpen] = useState(false)
   const [isRenaming, setIsRenaming] = useState(false)
 
   const [sampleModalOpen, setSampleModalOpen] = useState(false)
@@ -79,6 +139,100 @@ const PDFtoCSV = () => {
   const [sampleCsvData, setSampleCsvData] = useState([])
   const [isSampleLoading, setIsSampleLoading] = useState(false)
 
+  // Converted result shown in the "Ready to Download" state
+  const [resultRows, setResultRows] = useState([])
+  const [isResultLoading, setIsResultLoading] = useState(false)
+  const [resultError, setResultError] = useState(null)
+  const [resultParseErrors, setResultParseErrors] = useState([])
+  // null until a mapping (or the original columns) has been chosen for the loaded result
+  const [columnMapping, setColumnMapping] = useState(null)
+  const [isMapperOpen, setIsMapperOpen] = useState(false)
+  const [revertedFixes, setRevertedFixes] = useState([])
+  const [annotationAction, setAnnotationAction] = useState(() => loadJSON(ANNOTATION_ACTION_KEY, 'fold'))
+  const [annotationOverrides, setAnnotationOverrides] = useState({})
+  const [cleanupSettings, setCleanupSettings] = useState(loadCleanupSettings)
+  const [isCleanupOpen, setIsCleanupOpen] = useState(false)
+
+  const mapColumns = useCallback((rows) => {
+    const mapping = columnMapping?.mapping
+    if (!mapping || !isMappingCompatible(mapping, rows[0] || [])) return rows
+    return applyColumnMapping(rows, mapping)
+  }, [columnMapping])
+
+  const foldAnnotations = useCallback((rows) => (
+    applyAnnotationHandling(rows, { defaultAction: annotationAction, overrides: annotationOverrides })
+  ), [annotationAction, annotationOverrides])
+
+  // Steps applied to the converted CSV before it is previewed, edited or exported;
+  // returns the same array when nothing changed
+  const processRows = useCallback((rows) => {
+    const repaired = repairPageBreaks(rows, revertedFixes).rows
+    return applyCleanupRules(foldAnnotations(mapColumns(repaired)).rows, cleanupSettings).rows
+  }, [revertedFixes, mapColumns, foldAnnotations, cleanupSettings])
+
+  const repairResult = useMemo(() => repairPageBreaks(resultRows, revertedFixes), [resultRows, revertedFixes])
+  // Wait for the mapping decision so the editor never binds to the unmapped table first
+  const mappedRows = useMemo(() => (columnMapping ? mapColumns(repairResult.rows) : []), [columnMapping, mapColumns, repairResult])
+  const annotationResult = useMemo(() => foldAnnotations(mappedRows), [foldAnnotations, mappedRows])
+  const cleanupResult = useMemo(() => applyCleanupRules(annotationResult.rows, cleanupSettings), [annotationResult, cleanupSettings])
+  const processedRows = cleanupResult.rows
+  const editableTable = useEditableTable(processedRows, resultKey ? `csv_edits_${resultKey}` : null)
+  const { clearEdits } = editableTable
+
+  // Checks run on the table as edited, so fixing a cell clears its highlight
+  const [validationOptions, setValidationOptions] = useState(() => ({ ...DEFAULT_VALIDATION_OPTIONS, ...loadJSON(VALIDATION_OPTIONS_KEY, {}) }))
+  const validation = useMemo(() => validateRows(editableTable.rows, validationOptions), [editableTable.rows, validationOptions])
+  const cellIssues = useMemo(() => groupIssuesByCell(validation.issues), [validation])
+
+  const [expiryWarnMonths, setExpiryWarnMonths] = useState(() => loadJSON(EXPIRY_WARN_MONTHS_KEY, DEFAULT_WARN_MONTHS))
+  const expiry = useMemo(() => analyzeExpiry(editableTable.rows, { warnMonths: expiryWarnMonths }), [editableTable.rows, expiryWarnMonths])
+  const expiryHighlights = useMemo(() => new Map(
+    expiry.items
+      .filter(item => EXPIRY_COLORS[item.status])
+      .map(item => [item.row, {
+        color: EXPIRY_COLORS[item.status],
+        title: item.status === 'expired' ? `Expired (${item.expiry})` : `Expires ${item.expiry}`
+      }])
+  ), [expiry])
+
+  // Object URLs of the uploaded originals by job id, for reviewing them next to the table
+  const sourceDocumentsRef = useRef(new Map())
+  const [isReviewOpen, setIsReviewOpen] = useState(false)
+  const sourceDocument = currentJobId ? sourceDocumentsRef.current.get(currentJobId) || null : null
+
+  const rememberSourceDocument = useCallback((jobId, sourceFile) => {
+    if (!jobId || !sourceFile || sourceDocumentsRef.current.has(jobId)) return
+    sourceDocumentsRef.current.set(jobId, {
+      url: URL.createObjectURL(sourceFile),
+      type: sourceFile.type === 'application/pdf' || /\.pdf$/i.test(sourceFile.name) ? 'pdf' : 'image',
+      name: sourceFile.name
+    })
+  }, [])
+
+  useEffect(() => {
+    const sourceDocuments = sourceDocumentsRef.current
+    return () => {
+      sourceDocuments.forEach(({ url }) => URL.revokeObjectURL(url))
+    }
+  }, [])
+
+  // Hand-corrected CSV to score the extraction against
+  const [isCompareOpen, setIsCompareOpen] = useState(false)
+  const [compareReference, setCompareReference] = useState(null)
+  const [isReferenceLoading, setIsReferenceLoading] = useState(false)
+
+  // Totals typed from the printed invoice, kept per job
+  const [printedTotals, setPrintedTotals] = useState(EMPTY_PRINTED_TOTALS)
+  const invoiceSummary = useMemo(
+    () => summarizeInvoice(editableTable.rows, { interState: tallySettings.interState, gstConvention: validationOptions.gstConvention }),
+    [editableTable.rows, tallySettings.interState, validationOptions.gstConvention]
+  )
+  // The export backs GST out of AMOUNT the same way the totals do
+  const tallyExportOptions = useMemo(
+    () => ({ ...tallySettings, gstConvention: validationOptions.gstConvention }),
+    [tallySettings, validationOptions.gstConvention]
+  )
+
   const handleViewSample = async (type, url) => {
     setSampleType(type)
     setSampleUrl(url)
@@ -89,30 +243,7 @@ const PDFtoCSV = () => {
       try {
         const response = await fetch(url)
         const text = await response.text()
-
-        // Simple CSV parser
-        const rows = text.split('\n').map(row => {
-          // Handle quoted fields which might contain commas
-          const matches = [];
-          let currentMatch = '';
-          let inQuote = false;
-
-          for (let i = 0; i < row.length; i++) {
-            const char = row[i];
-            if (char === '"') {
-              inQuote = !inQuote;
-            } else if (char === ',' && !inQuote) {
-              matches.push(currentMatch.trim());
-              currentMatch = '';
-            } else {
-              currentMatch += char;
-            }
-          }
-          matches.push(currentMatch.trim());
-          return matches;
-        }).filter(row => row.some(cell => cell !== '')) // Filter empty rows
-
-        setSampleCsvData(rows)
+        setSampleCsvData(parseCsv(text))
       } catch (error) {
         console.error('Failed to load CSV:', error)
         toast.error('Failed to load CSV preview')
@@ -129,17 +260,40 @@ const PDFtoCSV = () => {
 
   const isValidInvoiceFile = useCallback((file) => {
     const validTypes = [
-      'application/pdf'
+      'application/pdf',
+      'image/jpeg',
+      'image/jpg'
     ];
     return file && validTypes.includes(file.type);
   }, []);
 
+  const handleBatchComplete = useCallback(({ succeeded, failed }) => {
+    const message = `Batch complete: ${succeeded} succeeded, ${failed} failed`
+    if (failed > 0) {
+      toast.error(message)
+    } else {
+      toast.success(message, {
+        style: { border: '1px solid #8E54F7', color: '#fff', background: '#000' },
+        icon: <Check color="#8E54F7" />
+      })
+    }
+  }, [])
+
+  const uploadQueue = useUploadQueue({ concurrency: BATCH_CONCURRENCY, onBatchComplete: handleBatchComplete })
+  const { addFiles } = uploadQueue
+
   const handleFileSelectFromInput = useCallback((selectedFile) => {
     if (isValidInvoiceFile(selectedFile)) {
       setFile(selectedFile)
       setError(null)
       setDownloadUrl(null)
       setCurrentJobId(null)
+      setCurrentFileId(null)
+      setStoredFileInfo(null)
+      setColumnMapping(null)
+      setPrintedTotals(EMPTY_PRINTED_TOTALS)
+      setAnnotationOverrides({})
+      setRevertedFixes([])
       setProcessStep(0)
 
       // Generate preview for images
@@ -173,6 +327,30 @@ const PDFtoCSV = () => {
     }
   }, [isUploading, isProcessing])
 
+  // A single file goes through the regular flow, several files go to the batch queue
+  const handleFilesSelected = useCallback((fileList) => {
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+
+    if (files.length === 1) {
+      handleFileSelectFromInput(files[0])
+      return
+    }
+
+    const validFiles = files.filter(isValidInvoiceFile)
+    const skippedCount = files.length - validFiles.length
+    if (skippedCount > 0) {
+      toast.error(`Skipped ${skippedCount} file${skippedCount === 1 ? '' : 's'} that ${skippedCount === 1 ? 'is' : 'are'} not a PDF or JPEG invoice`)
+    }
+    if (validFiles.length > 0) {
+      addFiles(validFiles)
+      toast.success(`${validFiles.length} files added to the batch queue`, {
+        style: { border: '1px solid #8E54F7', color: '#fff', background: '#000' },
+        icon: <Check color="#8E54F7" />
+      })
+    }
+  }, [handleFileSelectFromInput, isValidInvoiceFile, addFiles])
+
   const handleDrop = useCallback((e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -180,16 +358,14 @@ const PDFtoCSV = () => {
 
     if (isUploading || isProcessing) return
 
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFileSelectFromInput(e.dataTransfer.files[0])
-    }
-  }, [handleFileSelectFromInput, isUploading, isProcessing])
+    handleFilesSelected(e.dataTransfer.files)
+  }, [handleFilesSelected, isUploading, isProcessing])
 
   const handleFileInput = useCallback((e) => {
-    if (e.target.files && e.target.files[0]) {
-      handleFileSelectFromInput(e.target.files[0])
-    }
-  }, [handleFileSelectFromInput])
+    handleFilesSelected(e.target.files)
+    // Allow the same files to be picked again later
+    e.target.value = ''
+  }, [handleFilesSelected])
 
   const handleUpload = useCallback(async () => {
     if (!file) {
@@ -236,16 +412,17 @@ const PDFtoCSV = () => {
         setIsProcessing(false)
         setProcessStep(3)
         setDownloadUrl(result.downloadUrl)
-        setDownloadName(file.name.replace(/\.(pdf|jpg|jpeg)$/i, ''))
+        setDownloadName('')
         toast.success("Conversion complete!", {
           style: { border: '1px solid #8E54F7', color: '#fff', background: '#000' },
           icon: <Check color="#8E54F7" />
         })
       } else if (result.jobId) {
         // Store job ID for download
+        rememberSourceDocument(result.jobId, file)
         setCurrentJobId(result.jobId)
-        // Set initial filename for valid future download reference
-        setDownloadName(file.name.replace(/\.(pdf|jpg|jpeg)$/i, ''))
+        // The filename template names the download until a name is typed
+        setDownloadName('')
 
         // Poll for completion
         await pollForCompletion(result.jobId)
@@ -259,7 +436,7 @@ const PDFtoCSV = () => {
       setIsUploading(false)
       setIsProcessing(false)
     }
-  }, [file])
+  }, [file, rememberSourceDocument])
 
   const pollForCompletion = useCallback(async (jobId) => {
     const maxAttempts = 30 // 5 minutes max
@@ -300,20 +477,37 @@ const PDFtoCSV = () => {
     poll()
   }, [])
 
+  // Tally vouchers can't be imported without a party ledger, so check before fetching anything
+  const canExport = useCallback((formatId) => {
+    if (formatId === 'tally' && !tallySettings.partyLedger.trim()) {
+      toast.error('Enter the party ledger name for the Tally voucher')
+      return false
+    }
+    return true
+  }, [tallySettings])
+
+  // Supplier and invoice number for the filename template, read from the table as edited
+  const filenameDetails = useMemo(() => extractFilenameDetails(editableTable.rows), [editableTable.rows])
+
+  // Typed names win; otherwise every saved file is named from the template
+  const resolveOutputName = useCallback((extension, suffix = '') => {
+    const typedName = stripExportExtension(downloadName).trim()
+    const name = typedName ? sanitizeFilename(typedName) : applyFilenameTemplate(filenameTemplate, {
+      original: file?.name || lastUploadedFileName || '',
+      jobId: currentJobId || '',
+      supplier: filenameDetails.supplier,
+      invoiceNo: filenameDetails.invoiceNo || tallySettings.voucherNumber
+    })
+    return `${name}${suffix}.${extension}`
+  }, [downloadName, filenameTemplate, file, lastUploadedFileName, currentJobId, filenameDetails, tallySettings.voucherNumber])
+
   const handleDownload = useCallback(async () => {
-    if (downloadUrl && currentJobId) {
+    if (downloadUrl && resultKey && canExport(exportFormat)) {
       try {
         const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
 
-        // 1. Get the Download URL info
-        const response = await fetch(`${apiBase}/api/jobs/${currentJobId}/download-url`);
-        if (!response.ok) throw new Error('Failed to get download URL');
-
-        const data = await response.json();
-        const fileIdMatch = data.url.match(/\/api\/files\/download\/(.+)$/);
-        if (!fileIdMatch) throw new Error('Invalid download URL format');
-
-        const fileId = fileIdMatch[1];
+        // 1. Find the stored file: reopened results already know it, fresh jobs look it up
+        const fileId = currentFileId || await getJobFileId(currentJobId);
         const directDownloadUrl = `${apiBase}/api/files/download/${fileId}`;
 
         // 2. Fetch the actual file content as a Blob
@@ -329,24 +523,25 @@ const PDFtoCSV = () => {
         }
 
         const blob = await fileResponse.blob();
-        const blobUrl = URL.createObjectURL(blob);
 
-        // 3. Create link with Blob URL
-        const link = document.createElement('a');
-        link.href = blobUrl;
-
-        // Calculate filename
-        const defaultName = file?.name ? file.name.replace(/\.(pdf|jpg|jpeg)$/i, '.csv') : 'converted-file.csv';
-        const nameToUse = downloadName.trim() ? downloadName : defaultName;
-        const finalName = nameToUse.toLowerCase().endsWith('.csv') ? nameToUse : `${nameToUse}.csv`;
-
-        link.download = finalName;
-        document.body.appendChild(link);
-        link.click();
+        // 3. Convert in the browser when another format or CSV dialect is chosen or the processing steps changed the table
+        const format = getExportFormat(exportFormat);
+        let output = blob;
+        const parsedRows = parseCsv(await blob.text());
+        const rows = processRows(parsedRows);
+        if (format.id !== 'csv' || rows !== parsedRows || !isDefaultCsvDialect(csvDialect)) {
+          try {
+            output = await buildExport(rows, format.id, { tally: tallyExportOptions, csv: csvDialect });
+          } catch (conversionError) {
+            console.error('Export conversion failed:', conversionError);
+            toast.dismiss(toastId);
+            toast.error(conversionError.message || `Could not create the ${format.label} file`);
+            return;
+          }
+        }
 
-        // Cleanup
-        document.body.removeChild(link);
-        URL.revokeObjectURL(blobUrl);
+        // 4. Save the Blob under the chosen filename
+        saveBlob(output, resolveOutputName(format.extension));
 
         toast.dismiss(toastId);
         toast.success("Download started", {
@@ -360,33 +555,303 @@ const PDFtoCSV = () => {
         toast.error("Download failed to start");
       }
     }
-  }, [downloadUrl, currentJobId, file, downloadName])
+  }, [downloadUrl, resultKey, currentJobId, currentFileId, exportFormat, tallyExportOptions, csvDialect, canExport, processRows, resolveOutputName])
+
+  const handleDownloadEdited = useCallback(async () => {
+    if (!canExport(exportFormat)) return
+
+    try {
+      const format = getExportFormat(exportFormat)
+      const blob = await buildExport(editableTable.rows, format.id, { tally: tallyExportOptions, csv: csvDialect })
+      saveBlob(blob, resolveOutputName(format.extension))
+      // Edits only need to outlive a reload until they have been saved
+      editableTable.clearEdits()
+      toast.success(`Edited ${format.label} downloaded`, {
+        style: { border: '1px solid #8E54F7', color: '#fff', background: '#000' },
+        icon: <Check color="#8E54F7" />
+      })
+    } catch (err) {
+      console.error('Edited download failed:', err)
+      toast.error(err.message || "Download failed to start")
+    }
+  }, [editableTable, exportFormat, tallyExportOptions, csvDialect, canExport, resolveOutputName])
+
+  const handleExportFormatChange = useCallback((formatId) => {
+    setExportFormat(formatId)
+    saveJSON(EXPORT_FORMAT_KEY, formatId)
+  }, [])
+
+  const handleFilenameTemplateChange = useCallback((template) => {
+    setFilenameTemplate(template)
+    saveFilenameTemplate(template)
+  }, [])
+
+  const handleCsvDialectChange = useCallback((dialect) => {
+    setCsvDialect(dialect)
+    saveCsvDialect(dialect)
+  }, [])
+
+  const handleTallySettingsChange = useCallback((settings) => {
+    setTallySettings(settings)
+    const defaults = Object.fromEntries(Object.entries(settings).filter(([key]) => !PER_INVOICE_TALLY_FIELDS.includes(key)))
+    saveJSON(TALLY_SETTINGS_KEY, defaults)
+  }, [])
+
+  const handleApplyMapping = useCallback((mapping, templateName) => {
+    if (editableTable.isEdited && !confirm('Changing the columns discards your edits in the preview. Continue?')) return
+
+    setColumnMapping({ mapping, templateName })
+    setIsMapperOpen(false)
+  }, [editableTable.isEdited])
+
+  const handleToggleFix = useCallback((id) => {
+    if (editableTable.isEdited && !confirm('Reverting a page-break fix discards your edits in the preview. Continue?')) return
+
+    setRevertedFixes(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]))
+    // Annotation overrides point at row numbers, which shift when rows come back or go away
+    setAnnotationOverrides({})
+  }, [editableTable.isEdited])
+
+  const handleRevertAllFixes = useCallback(() => {
+    if (editableTable.isEdited && !confirm('Reverting a page-break fix discards your edits in the preview. Continue?')) return
+
+    setRevertedFixes(repairResult.fixes.map(fix => fix.id))
+    setAnnotationOverrides({})
+  }, [editableTable.isEdited, repairResult])
+
+  const handleAnnotationActionChange = useCallback((action) => {
+    if (editableTable.isEdited && !confirm('Changing how annotation rows are handled discards your edits in the preview. Continue?')) return
+
+    setAnnotationAction(action)
+    setAnnotationOverrides({})
+    saveJSON(ANNOTATION_ACTION_KEY, action)
+  }, [editableTable.isEdited])
+
+  const handleAnnotationOverride = useCallback((row, action) => {
+    if (editableTable.isEdited && !confirm('Changing how annotation rows are handled discards your edits in the preview. Continue?')) return
+
+    setAnnotationOverrides(prev => ({ ...prev, [row]: action }))
+  }, [editableTable.isEdited])
+
+  const handleValidationOptionsChange = useCallback((options) => {
+    setValidationOptions(options)
+    saveJSON(VALIDATION_OPTIONS_KEY, options)
+  }, [])
+
+  const handleDownloadValidationReport = useCallback(() => {
+    const report = buildValidationReport(validation.issues, editableTable.rows)
+    saveBlob(new Blob([report], { type: 'text/csv;charset=utf-8' }), resolveOutputName('csv', '-validation'))
+  }, [validation, editableTable.rows, resolveOutputName])
+
+  const handleExpiryWarnMonthsChange = useCallback((months) => {
+    setExpiryWarnMonths(months)
+    saveJSON(EXPIRY_WARN_MONTHS_KEY, months)
+  }, [])
+
+  const handleDownloadExpiryReport = useCallback(() => {
+    const report = buildExpiryReport(expiry.items)
+    saveBlob(new Blob([report], { type: 'text/csv;charset=utf-8' }), resolveOutputName('csv', '-expiry'))
+  }, [expiry, resolveOutputName])
+
+  const handleReferenceFile = useCallback(async (referenceFile) => {
+    try {
+      const rows = parseCsv(await referenceFile.text())
+      if (rows.length < 2) {
+        toast.error('The reference CSV has no rows')
+        return
+      }
+      setCompareReference({ name: referenceFile.name, rows })
+    } catch (error) {
+      console.error('Failed to read reference CSV:', error)
+      toast.error('Failed to read the reference CSV')
+    }
+  }, [])
+
+  const handleCompareWithFile = useCallback(async (storedFile) => {
+    setIsCompareOpen(true)
+    setIsReferenceLoading(true)
+    try {
+      const rows = parseCsv(await getFileContent(storedFile.id))
+      setCompareReference({ name: storedFile.filename, rows })
+    } catch (error) {
+      console.error('Failed to load reference file:', error)
+      toast.error('Failed to load the reference file')
+    } finally {
+      setIsReferenceLoading(false)
+    }
+  }, [])
+
+  const handleDownloadAccuracyReport = useCallback((comparison) => {
+    const report = buildAccuracyReport(comparison)
+    saveBlob(new Blob([report], { type: 'text/csv;charset=utf-8' }), resolveOutputName('csv', '-accuracy'))
+  }, [resolveOutputName])
+
+  const handleCleanupSettingsChange = useCallback((settings) => {
+    if (editableTable.isEdited && !confirm('Changing the cleanup rules discards your edits in the preview. Continue?')) return
+
+    setCleanupSettings(settings)
+    saveCleanupSettings(settings)
+  }, [editableTable.isEdited])
+
+  // Use the saved template for this supplier's layout, if there is one
+  useEffect(() => {
+    if (columnMapping || resultRows.length === 0) return
+
+    const template = findTemplateForHeader(resultRows[0])
+    if (template) {
+      setColumnMapping({ mapping: template.mapping, templateName: template.name })
+      toast.success(`Applied column template "${template.name}"`, {
+        style: { border: '1px solid #8E54F7', color: '#fff', background: '#000' },
+        icon: <Check color="#8E54F7" />
+      })
+    } else {
+      setColumnMapping(ORIGINAL_COLUMNS)
+    }
+  }, [resultRows, columnMapping])
+
+  // Restore the last finished job so unsaved edits survive a reload
+  useEffect(() => {
+    const activeResult = loadJSON(ACTIVE_RESULT_KEY)
+    if (activeResult?.jobId || activeResult?.fileId) {
+      setCurrentJobId(activeResult.jobId || null)
+      setCurrentFileId(activeResult.fileId || null)
+      setStoredFileInfo(activeResult.storedFileInfo || null)
+      setDownloadUrl(activeResult.downloadUrl || 'ready')
+      setDownloadName(activeResult.downloadName || '')
+      setLastUploadedFileName(activeResult.fileName || '')
+      setColumnMapping(activeResult.columnMapping || ORIGINAL_COLUMNS)
+      setPrintedTotals({ ...EMPTY_PRINTED_TOTALS, ...activeResult.printedTotals })
+      setAnnotationOverrides(activeResult.annotationOverrides || {})
+      setRevertedFixes(activeResult.revertedFixes || [])
+      setProcessStep(3)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (downloadUrl && resultKey) {
+      saveJSON(ACTIVE_RESULT_KEY, {
+        jobId: currentJobId,
+        fileId: currentFileId,
+        storedFileInfo,
+        downloadUrl,
+        downloadName,
+        fileName: lastUploadedFileName,
+        columnMapping,
+        printedTotals,
+        annotationOverrides,
+        revertedFixes
+      })
+    }
+  }, [downloadUrl, resultKey, currentJobId, currentFileId, storedFileInfo, downloadName, lastUploadedFileName, columnMapping, printedTotals, annotationOverrides, revertedFixes])
+
+  // Load the converted CSV for preview once the job is ready
+  useEffect(() => {
+    if (!downloadUrl || (!currentJobId && !currentFileId)) {
+      setResultRows([])
+      setResultError(null)
+      setResultParseErrors([])
+      return
+    }
+
+    let cancelled = false
+    setIsResultLoading(true)
+    setResultError(null)
+
+    const loadText = currentJobId
+      ? getJobResult(currentJobId).then(({ text }) => text)
+      : getFileContent(currentFileId)
+
+    loadText
+      .then((text) => {
+        if (cancelled) return
+        const { rows, errors } = parseCsvWithReport(text)
+        setResultRows(rows)
+        setResultParseErrors(errors)
+      })
+      .catch((err) => {
+        console.error('Failed to load result preview:', err)
+        if (!cancelled) setResultError('Could not load a preview of the converted file. You can still download it.')
+      })
+      .finally(() => {
+        if (!cancelled) setIsResultLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [downloadUrl, currentJobId, currentFileId])
 
   const handleReset = useCallback(() => {
+    clearEdits()
+    removeStored(ACTIVE_RESULT_KEY)
     setFile(null)
     setDownloadUrl(null)
     setCurrentJobId(null)
+    setCurrentFileId(null)
+    setStoredFileInfo(null)
+    setColumnMapping(null)
+    setPrintedTotals(EMPTY_PRINTED_TOTALS)
+    setAnnotationOverrides({})
+    setRevertedFixes([])
+    setIsMapperOpen(false)
+    setIsReviewOpen(false)
+    setIsCompareOpen(false)
+    setCompareReference(null)
     setError(null)
     setIsUploading(false)
     setIsProcessing(false)
     setPreviewUrl(null)
     setProcessStep(0)
     setDownloadName('')
-  }, [])
+  }, [clearEdits])
+
+  const handleOpenQueuedResult = useCallback((item) => {
+    if (isUploading || isProcessing) return
+
+    setFile(null)
+    setError(null)
+    setPreviewUrl(null)
+    setLastUploadedFileName(item.file.name)
+    rememberSourceDocument(item.jobId, item.file)
+    setCompareReference(null)
+    setColumnMapping(null)
+    setPrintedTotals(EMPTY_PRINTED_TOTALS)
+    setAnnotationOverrides({})
+    setRevertedFixes([])
+    setCurrentJobId(item.jobId)
+    setCurrentFileId(null)
+    setStoredFileInfo(null)
+    setDownloadUrl(item.downloadUrl || 'ready')
+    setDownloadName('')
+    setProcessStep(3)
+  }, [isUploading, isProcessing, rememberSourceDocument])
 
   const handleSidebarToggle = useCallback(() => {
     setSidebarOpen(prev => !prev)
   }, [])
 
-  const handleFileSelect = useCallback((selectedFile) => {
+  // Open a past conversion from the history sidebar just like a job that has just finished
+  const handleOpenStoredFile = useCallback((storedFile) => {
     if (isUploading || isProcessing) return
 
-    if (selectedFile) {
-      setFile(selectedFile)
-      setError(null)
-      setDownloadUrl(null)
-      setCurrentJobId(null)
-    }
+    setFile(null)
+    setError(null)
+    setPreviewUrl(null)
+    setLastUploadedFileName(storedFile.filename)
+    setCompareReference(null)
+    setColumnMapping(null)
+    setPrintedTotals(EMPTY_PRINTED_TOTALS)
+    setAnnotationOverrides({})
+    setRevertedFixes([])
+    setIsMapperOpen(false)
+    setIsReviewOpen(false)
+    setCurrentJobId(null)
+    setCurrentFileId(storedFile.id)
+    setStoredFileInfo({ uploadDate: storedFile.uploadDate || null, size: storedFile.formattedSize || '' })
+    setDownloadUrl('ready')
+    setDownloadName('')
+    setProcessStep(3)
+    setSidebarOpen(false)
   }, [isUploading, isProcessing])
 
   const [guidelinesOpen, setGuidelinesOpen] = useState(false)
@@ -511,10 +976,10 @@ const PDFtoCSV = () => {
                   </Typography>
                   <Box sx={{ pl: 1, display: 'flex', flexDirection: 'column', gap: 2 }}>
                     {[
-                      'Drag and drop your PDF invoice into the upload area.',
+                      'Drag and drop your PDF invoice into the upload area. Drop several files at once to convert them as a batch.',
                       'Click the "Convert to CSV" button to start processing.',
                       'Wait for the system to extract the table data.',
-                      'Review the filename and click "Download CSV" to save your data.'
+                      'Check the extracted table in the preview, review the filename, pick CSV, XLSX, JSON or TSV and click "Download" to save your data.'
                     ].map((step, index) => (
                       <Box key={index} sx={{ display: 'flex', gap: 2 }}>
                         <Box sx={{
@@ -568,6 +1033,35 @@ const PDFtoCSV = () => {
         )}
       </AnimatePresence>
 
+      {/* Side-by-side review */}
+      <AnimatePresence>
+        {isReviewOpen && (
+          <ReviewPane
+            source={sourceDocument}
+            table={editableTable}
+            cellIssues={cellIssues}
+            rowHighlights={expiryHighlights}
+            onClose={() => setIsReviewOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Accuracy against a reference CSV */}
+      <AnimatePresence>
+        {isCompareOpen && (
+          <CompareDialog
+            // Score the extractor itself, not the repairs, mapping, cleanup or hand edits made since
+            actualRows={resultRows}
+            actualLabel="Raw extractor output, before repairs, cleanup and edits"
+            reference={compareReference}
+            isLoading={isReferenceLoading}
+            onReferenceFile={handleReferenceFile}
+            onDownloadReport={handleDownloadAccuracyReport}
+            onClose={() => setIsCompareOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Sample Preview Modal */}
       <AnimatePresence>
         {sampleModalOpen && (
@@ -647,30 +1141,7 @@ const PDFtoCSV = () => {
                         <CircularProgress sx={{ color: '#8E54F7' }} />
                       </Box>
                     ) : (
-                      <TableContainer component={Paper} sx={{ bgcolor: 'rgba(255,255,255,0.05)', borderRadius: 2 }}>
-                        <Table size="small" aria-label="csv preview table">
-                          <TableHead>
-                            <TableRow sx={{ bgcolor: 'rgba(142, 84, 247, 0.2)' }}>
-                              {sampleCsvData[0]?.map((header, index) => (
-                                <TableCell key={index} sx={{ color: '#fff', fontWeight: 600, borderColor: 'rgba(255,255,255,0.1)' }}>
-                                  {header}
-                                </TableCell>
-                              ))}
-                            </TableRow>
-                          </TableHead>
-                          <TableBody>
-                            {sampleCsvData.slice(1).map((row, rowIndex) => (
-                              <TableRow key={rowIndex} sx={{ '&:last-child td, &:last-child th': { border: 0 } }}>
-                                {row.map((cell, cellIndex) => (
-                                  <TableCell key={cellIndex} sx={{ color: 'rgba(255,255,255,0.8)', borderColor: 'rgba(255,255,255,0.1)' }}>
-                                    {cell}
-                                  </TableCell>
-                                ))}
-                              </TableRow>
-                            ))}
-                          </TableBody>
-                        </Table>
-                      </TableContainer>
+                      <CsvPreviewTable rows={sampleCsvData} maxHeight="100%" />
                     )}
                   </Box>
                 )}
@@ -814,7 +1285,7 @@ const PDFtoCSV = () => {
             component={motion.div}
             initial="initial"
             animate={dragActive ? "drag" : "initial"}
-            whileHover={!isUploading && !isProcessing ? "hover" : "initial"}
+            whileHover={!isUploading && !isProcessing && !downloadUrl ? "hover" : "initial"}
             variants={dropZoneVariants}
             onDragEnter={handleDrag}
             onDragLeave={handleDrag}
@@ -833,7 +1304,8 @@ const PDFtoCSV = () => {
             <input
               id="file-input"
               type="file"
-              accept=".pdf"
+              accept=".pdf,.jpg,.jpeg"
+              multiple
               onChange={handleFileInput}
               style={{ display: 'none' }}
               disabled={isUploading || isProcessing}
@@ -881,10 +1353,10 @@ const PDFtoCSV = () => {
                   Upload Invoice
                 </Typography>
                 <Typography sx={{ fontSize: 16, color: 'rgba(255, 255, 255, 0.8)', mb: 4, lineHeight: 1.6 }}>
-                  Drag and drop a PDF invoice here, or <span style={{ color: '#3B82F6', textDecoration: 'underline' }}>browse files</span>
+                  Drag and drop PDF or JPEG invoices here, or <span style={{ color: '#3B82F6', textDecoration: 'underline' }}>browse files</span>
                 </Typography>
                 <Box sx={{ borderTop: '1px solid rgba(255, 255, 255, 0.2)', pt: 3, textAlign: 'center' }}>
-                  <Typography sx={{ fontSize: 14, color: 'rgba(255, 255, 255, 0.7)' }}>• PDF files • Max 20MB</Typography>
+                  <Typography sx={{ fontSize: 14, color: 'rgba(255, 255, 255, 0.7)' }}>• PDF or JPEG files • Max 20MB • Multiple files are queued</Typography>
                 </Box>
               </>
             )}
@@ -908,20 +1380,202 @@ const PDFtoCSV = () => {
                   <Box sx={{ width: 64, height: 64, borderRadius: '50%', bgcolor: 'rgba(142, 84, 247, 0.2)', display: 'flex', alignItems: 'center', justifyContent: 'center', mb: 2 }}>
                     <Check size={32} color="#8E54F7" />
                   </Box>
-                  <Typography variant="h5" sx={{ fontWeight: 600, mb: 3 }}>Ready to Download</Typography>
+                  <Typography variant="h5" sx={{ fontWeight: 600, mb: storedFileInfo ? 1 : 3 }}>Ready to Download</Typography>
+                  {storedFileInfo && (
+                    <Typography sx={{ fontSize: 13, color: 'rgba(255,255,255,0.6)', mb: 3, textAlign: 'center' }}>
+                      {lastUploadedFileName} · from history
+                      {storedFileInfo.uploadDate && ` · converted ${formatDate(new Date(storedFileInfo.uploadDate), 'd MMM yyyy, HH:mm')}`}
+                      {storedFileInfo.size && ` · ${storedFileInfo.size}`}
+                    </Typography>
+                  )}
 
                   {/* Filename Editor */}
                   <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, bgcolor: '#111', p: 1, px: 2, borderRadius: 2, mb: 3, border: '1px solid #333', maxWidth: '100%', overflow: 'hidden' }}>
                     <FileText size={18} color="#8E54F7" style={{ minWidth: 18 }} />
                     <input
                       type="text"
-                      value={downloadName.replace(/\.csv$/i, '')}
-                      onChange={(e) => setDownloadName(e.target.value.replace(/\.csv$/i, ''))}
+                      value={stripExportExtension(downloadName)}
+                      onChange={(e) => setDownloadName(stripExportExtension(e.target.value))}
                       onClick={(e) => e.stopPropagation()}
+                      placeholder={stripExportExtension(resolveOutputName(getExportFormat(exportFormat).extension))}
                       style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: 16, width: '100%', flex: 1, minWidth: 0, outline: 'none', textAlign: 'left' }}
                     />
-                    <Typography sx={{ color: '#666', userSelect: 'none', whiteSpace: 'nowrap' }}>.csv</Typography>
+                    <select
+                      value={exportFormat}
+                      onChange={(e) => handleExportFormatChange(e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                      title="Export format"
+                      style={{ background: 'transparent', border: 'none', color: '#8E54F7', fontSize: 16, fontWeight: 600, outline: 'none', cursor: 'pointer' }}
+                    >
+                      {EXPORT_FORMATS.map(format => (
+                        <option key={format.id} value={format.id} style={{ background: '#111', color: '#fff' }}>
+                          .{format.extension}
+                        </option>
+                      ))}
+                    </select>
                     <Edit2 size={16} color="#666" style={{ marginLeft: 8, minWidth: 16 }} />
+                    <IconButton
+                      size="small"
+                      onClick={(e) => {
+                        e.stopPropagation()
+                        setIsFilenameTemplateOpen(prev => !prev)
+                      }}
+                      title="Filename template"
+                      sx={{ color: isFilenameTemplateOpen ? '#8E54F7' : '#666', '&:hover': { color: '#fff' } }}
+                    >
+                      <Braces size={16} />
+                    </IconButton>
+                  </Box>
+
+                  {isFilenameTemplateOpen && (
+                    <FilenameTemplateSettings
+                      template={filenameTemplate}
+                      preview={resolveOutputName(getExportFormat(exportFormat).extension)}
+                      onChange={handleFilenameTemplateChange}
+                    />
+                  )}
+
+                  {exportFormat === 'csv' && (
+                    <CsvDialectSettings dialect={csvDialect} onChange={handleCsvDialectChange} />
+                  )}
+
+                  {exportFormat === 'tally' && (
+                    <TallyExportSettings settings={tallySettings} onChange={handleTallySettingsChange} />
+                  )}
+
+                  {invoiceSummary.lineCount > 0 && (
+                    <TotalsPanel
+                      summary={invoiceSummary}
+                      interState={tallySettings.interState}
+                      onInterStateChange={(interState) => handleTallySettingsChange({ ...tallySettings, interState })}
+                      printedTotals={printedTotals}
+                      onPrintedTotalsChange={setPrintedTotals}
+                    />
+                  )}
+
+                  {/* Result Preview */}
+                  <Box sx={{ width: '100%', textAlign: 'left' }} onClick={(e) => e.stopPropagation()}>
+                    {isResultLoading ? (
+                      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+                        <CircularProgress size={28} sx={{ color: '#8E54F7' }} />
+                      </Box>
+                    ) : resultError ? (
+                      <Alert severity="warning">{resultError}</Alert>
+                    ) : resultRows.length > 0 && (
+                      <>
+                        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1, flexWrap: 'wrap' }}>
+                          <Typography sx={{ flex: 1, fontSize: 13, color: 'rgba(255,255,255,0.6)' }}>
+                            Preview · {editableTable.rows.length - 1} rows × {editableTable.rows[0]?.length || 0} columns
+                            {editableTable.isEdited && <Box component="span" sx={{ color: '#8E54F7', ml: 1 }}>· edited</Box>}
+                          </Typography>
+                          <Button
+                            size="small"
+                            onClick={() => setIsReviewOpen(true)}
+                            startIcon={<Columns2 size={14} />}
+                            sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+                          >
+                            Review side by side
+                          </Button>
+                          <Button
+                            size="small"
+                            onClick={() => setIsCompareOpen(true)}
+                            startIcon={<GitCompare size={14} />}
+                            sx={{ color: compareReference ? '#8E54F7' : 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+                          >
+                            Compare
+                          </Button>
+                          <Button
+                            size="small"
+                            onClick={() => setIsMapperOpen(prev => !prev)}
+                            startIcon={<ArrowRightLeft size={14} />}
+                            sx={{ color: isMapperOpen || columnMapping?.mapping ? '#8E54F7' : 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+                          >
+                            Map columns
+                          </Button>
+                          <Button
+                            size="small"
+                            onClick={() => setIsCleanupOpen(prev => !prev)}
+                            startIcon={<Sparkles size={14} />}
+                            sx={{ color: isCleanupOpen ? '#8E54F7' : 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+                          >
+                            Cleanup{cleanupResult.changes.length > 0 && ` (${cleanupResult.changes.length})`}
+                          </Button>
+                          {editableTable.isEdited && (
+                            <Button
+                              size="small"
+                              onClick={editableTable.resetEdits}
+                              startIcon={<RotateCcw size={14} />}
+                              sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+                            >
+                              Discard edits
+                            </Button>
+                          )}
+                        </Box>
+                        {resultParseErrors.length > 0 && (
+                          <Alert severity="warning" sx={{ mb: 1 }}>
+                            {resultParseErrors.length} malformed line{resultParseErrors.length === 1 ? '' : 's'} in the converted CSV:
+                            {resultParseErrors.slice(0, 5).map((parseError, index) => (
+                              <Box key={index} component="span" sx={{ display: 'block', fontSize: 13 }}>
+                                Line {parseError.line}: {parseError.message}
+                              </Box>
+                            ))}
+                            {resultParseErrors.length > 5 && (
+                              <Box component="span" sx={{ display: 'block', fontSize: 13 }}>
+                                …and {resultParseErrors.length - 5} more
+                              </Box>
+                            )}
+                          </Alert>
+                        )}
+                        {isMapperOpen && (
+                          <ColumnMapper
+                            header={resultRows[0]}
+                            mapping={columnMapping?.mapping ?? null}
+                            templateName={columnMapping?.templateName ?? null}
+                            onApply={handleApplyMapping}
+                          />
+                        )}
+                        {isCleanupOpen && (
+                          <CleanupRulesPanel
+                            header={annotationResult.rows[0] || []}
+                            settings={cleanupSettings}
+                            changes={cleanupResult.changes}
+                            onChange={handleCleanupSettingsChange}
+                          />
+                        )}
+                        {repairResult.fixes.length > 0 && (
+                          <PageRepairPanel
+                            fixes={repairResult.fixes}
+                            onToggleFix={handleToggleFix}
+                            onRevertAll={handleRevertAllFixes}
+                          />
+                        )}
+                        {annotationResult.annotations.length > 0 && (
+                          <AnnotationRowsPanel
+                            annotations={annotationResult.annotations}
+                            defaultAction={annotationAction}
+                            onDefaultActionChange={handleAnnotationActionChange}
+                            onOverride={handleAnnotationOverride}
+                          />
+                        )}
+                        {validation.checkedRows > 0 && (
+                          <ValidationSummary
+                            validation={validation}
+                            options={validationOptions}
+                            onOptionsChange={handleValidationOptionsChange}
+                            onDownloadReport={handleDownloadValidationReport}
+                          />
+                        )}
+                        {expiry.items.length > 0 && (
+                          <ExpirySummary
+                            items={expiry.items}
+                            warnMonths={expiryWarnMonths}
+                            onWarnMonthsChange={handleExpiryWarnMonthsChange}
+                            onDownloadReport={handleDownloadExpiryReport}
+                          />
+                        )}
+                        <EditableCsvGrid table={editableTable} cellIssues={cellIssues} rowHighlights={expiryHighlights} />
+                      </>
+                    )}
                   </Box>
                 </Box>
               </motion.div>
@@ -972,6 +1626,17 @@ const PDFtoCSV = () => {
             </motion.div>
           )}
 
+          {/* Batch Queue */}
+          <UploadQueue
+            items={uploadQueue.items}
+            summary={uploadQueue.summary}
+            onRetry={uploadQueue.retry}
+            onRetryFailed={uploadQueue.retryFailed}
+            onRemove={uploadQueue.remove}
+            onClearFinished={uploadQueue.clearFinished}
+            onOpen={handleOpenQueuedResult}
+          />
+
           {/* Error Message */}
           {error && (
             <Alert
@@ -1008,7 +1673,17 @@ const PDFtoCSV = () => {
                 onClick={handleDownload}
                 startIcon={<Download size={20} />}
               >
-                Download CSV
+                Download {getExportFormat(exportFormat).label}
+              </GradientButton>
+            )}
+
+            {downloadUrl && editableTable.isEdited && (
+              <GradientButton
+                size="large"
+                onClick={handleDownloadEdited}
+                startIcon={<Edit2 size={20} />}
+              >
+                Download edited {getExportFormat(exportFormat).label}
               </GradientButton>
             )}
 
@@ -1149,7 +1824,8 @@ const PDFtoCSV = () => {
       <Sidebar
         isOpen={sidebarOpen}
         onToggle={handleSidebarToggle}
-        onFileSelect={handleFileSelect}
+        onFileSelect={handleOpenStoredFile}
+        onCompare={processStep === 3 ? handleCompareWithFile : null}
       />
     </Box>
   )
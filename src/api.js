@@ -158,6 +158,47 @@ export async function getDownloadUrl(jobId) {
   return apiRequest(`/api/jobs/${jobId}/download-url`);
 }
 
+/**
+ * Resolve the stored file ID for a completed job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string>} File ID usable with the /api/files endpoints
+ */
+export async function getJobFileId(jobId) {
+  const data = await getDownloadUrl(jobId);
+  const fileIdMatch = data?.url?.match(/\/api\/files\/download\/(.+)$/);
+  if (!fileIdMatch) {
+    throw new ApiError('Invalid download URL format', 0, 'INVALID_DOWNLOAD_URL');
+  }
+  return fileIdMatch[1];
+}
+
+/**
+ * Get the CSV content of a stored file
+ * @param {string} fileId - File ID
+ * @returns {Promise<string>} Raw CSV text
+ */
+export async function getFileContent(fileId) {
+  if (!fileId) {
+    throw new ApiError('File ID is required', 400, 'NO_FILE_ID');
+  }
+
+  const data = await apiRequest(`/api/files/download/${fileId}`, {
+    headers: { 'Accept': 'text/csv, text/plain, */*' }
+  });
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+/**
+ * Get the converted CSV content of a completed job
+ * @param {string} jobId - Job ID
+ * @returns {Promise<{fileId: string, text: string}>}
+ */
+export async function getJobResult(jobId) {
+  const fileId = await getJobFileId(jobId);
+  const text = await getFileContent(fileId);
+  return { fileId, text };
+}
+
 /**
  * Get n8n execution details for a job
  * @param {string} jobId - Job ID
@@ -179,6 +220,46 @@ export async function getAllFiles() {
   return apiRequest('/api/files');
 }
 
+/**
+ * Get one page of files from MongoDB
+ * Works with cursor or page-number paging; a backend that ignores both returns everything as a single last page.
+ * @param {object} page - Where to continue from: {cursor} or {page} as returned in `next` (omit for the first page)
+ * @param {object} options
+ * @param {number} options.limit - Files per page
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{files: Array, totalFiles: number, formattedTotalSize: string, next: object|null}>}
+ */
+export async function getFilesPage(page = {}, { limit = 50, signal } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (page.cursor) params.set('cursor', page.cursor);
+  if (page.page) params.set('page', String(page.page));
+
+  const headers = { 'Cache-Control': 'no-cache' };
+  let data;
+  try {
+    data = await apiRequest(`/api/files?${params}`, { signal, headers });
+  } catch (error) {
+    // A strict backend may reject the paging params outright; the first page can still be the full list
+    if (error.status !== 400 || page.cursor || page.page) throw error;
+    data = await apiRequest('/api/files', { signal, headers });
+  }
+
+  const currentPage = Number(data.page) || page.page || 1;
+  let next = null;
+  if (data.nextCursor) {
+    next = { cursor: data.nextCursor };
+  } else if (data.hasMore || (data.totalPages && currentPage < data.totalPages)) {
+    next = { page: currentPage + 1 };
+  }
+
+  return {
+    files: data.files || [],
+    totalFiles: data.totalFiles || 0,
+    formattedTotalSize: data.formattedTotalSize || '0 Bytes',
+    next
+  };
+}
+
 /**
  * Delete a file from MongoDB
  * @param {string} fileId - File ID to delete
@@ -194,6 +275,15 @@ export async function deleteFile(fileId) {
   });
 }
 
+/**
+ * Delete a file while the page is being closed
+ * keepalive lets the request outlive the page, so its outcome can't be observed
+ * @param {string} fileId - File ID to delete
+ */
+export function deleteFileOnUnload(fileId) {
+  fetch(`${API_BASE}/api/files/${fileId}`, { method: 'DELETE', keepalive: true }).catch(() => {});
+}
+
 /**
  * Poll job status until completion
  * @param {string} jobId - Job ID
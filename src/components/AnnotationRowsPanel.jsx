@@ -0,0 +1,62 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { MessageSquareText } from 'lucide-react';
+import { ANNOTATION_ACTIONS } from '../utils/annotations';
+
+const selectStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 12,
+  padding: '2px 6px',
+  outline: 'none',
+  colorScheme: 'dark'
+};
+
+/**
+ * Detected annotation rows with the action taken for each; any row can be overridden
+ */
+const AnnotationRowsPanel = ({ annotations, defaultAction, onDefaultActionChange, onOverride }) => (
+  <Box
+    onClick={(e) => e.stopPropagation()}
+    sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, px: 2, py: 1.5, mb: 1 }}
+  >
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <MessageSquareText size={16} color="#8E54F7" />
+      <Typography sx={{ flex: 1, fontSize: 13, color: '#fff' }}>
+        {annotations.length} annotation row{annotations.length === 1 ? '' : 's'} detected
+      </Typography>
+      <label style={{ fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+        By default{' '}
+        <select value={defaultAction} onChange={(e) => onDefaultActionChange(e.target.value)} style={selectStyle}>
+          {ANNOTATION_ACTIONS.map(action => (
+            <option key={action.id} value={action.id}>{action.label}</option>
+          ))}
+        </select>
+      </label>
+    </Box>
+
+    <Box sx={{ mt: 1, maxHeight: 160, overflowY: 'auto' }}>
+      {annotations.map(annotation => (
+        <Box key={annotation.row} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.25 }}>
+          <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.4)', minWidth: 52 }}>
+            Row {annotation.row}
+          </Typography>
+          <Typography sx={{ flex: 1, fontSize: 12, color: 'rgba(255,255,255,0.8)', fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={annotation.text}>
+            {annotation.text}
+          </Typography>
+          <select value={annotation.action} onChange={(e) => onOverride(annotation.row, e.target.value)} style={selectStyle}>
+            {ANNOTATION_ACTIONS.map(action => (
+              <option key={action.id} value={action.id}>
+                {action.id === 'fold' && annotation.parentRow !== null ? `Move to REMARKS of row ${annotation.parentRow}` : action.label}
+              </option>
+            ))}
+          </select>
+        </Box>
+      ))}
+    </Box>
+  </Box>
+);
+
+export default AnnotationRowsPanel;
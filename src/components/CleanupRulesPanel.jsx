@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { Box, Button, Typography, IconButton } from '@mui/material';
+import { Plus, Trash2 } from 'lucide-react';
+import { BUILT_IN_RULES, createCustomRule, validateCustomRule } from '../utils/cleanupRules';
+
+const MAX_DIFF_ROWS = 200;
+
+const controlStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 13,
+  padding: '4px 8px',
+  outline: 'none',
+  colorScheme: 'dark'
+};
+
+const checkboxLabelStyle = { display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' };
+
+/**
+ * Toggle built-in cleanup rules, edit regex rules and review what they changed
+ */
+const CleanupRulesPanel = ({ header, settings, changes, onChange }) => {
+  // Regex rules are edited locally and only run once applied, so half-typed patterns don't rewrite the table
+  const [customDraft, setCustomDraft] = useState(settings.custom);
+  const [showDiff, setShowDiff] = useState(true);
+
+  const draftErrors = customDraft.map(validateCustomRule);
+  const isDraftDirty = JSON.stringify(customDraft) !== JSON.stringify(settings.custom);
+
+  const toggleBuiltIn = (ruleId) => (e) => {
+    onChange({ ...settings, builtIn: { ...settings.builtIn, [ruleId]: e.target.checked } });
+  };
+
+  const updateCustom = (ruleId, key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setCustomDraft(prev => prev.map(rule => (rule.id === ruleId ? { ...rule, [key]: value } : rule)));
+  };
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 2 }}
+    >
+      <Typography sx={{ fontWeight: 600, color: '#fff', fontSize: 14, mb: 1.5 }}>
+        Cleanup rules
+      </Typography>
+
+      {/* Built-in rules */}
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 1, fontSize: 13, color: 'rgba(255,255,255,0.8)' }}>
+        {BUILT_IN_RULES.map(rule => (
+          <label key={rule.id} style={checkboxLabelStyle} title={rule.description}>
+            <input type="checkbox" checked={Boolean(settings.builtIn[rule.id])} onChange={toggleBuiltIn(rule.id)} />
+            <span>
+              {rule.label}
+              <Box component="span" sx={{ display: 'block', fontSize: 11, color: 'rgba(255,255,255,0.4)' }}>{rule.description}</Box>
+            </span>
+          </label>
+        ))}
+      </Box>
+
+      {/* User-defined regex rules */}
+      <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.6)', mt: 2, mb: 1 }}>
+        Regex replace rules
+      </Typography>
+      {customDraft.map((rule, index) => (
+        <Box key={rule.id} sx={{ mb: 1 }}>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+            <input type="checkbox" checked={rule.enabled} onChange={updateCustom(rule.id, 'enabled')} title="Enabled" />
+            <select value={rule.column} onChange={updateCustom(rule.id, 'column')} style={{ ...controlStyle, maxWidth: 160 }}>
+              <option value="">All columns</option>
+              {/* Keep a rule's column selectable even when the current file doesn't have it */}
+              {[...new Set([...header, rule.column].filter(Boolean))].map(column => (
+                <option key={column} value={column}>{column}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={rule.pattern}
+              onChange={updateCustom(rule.id, 'pattern')}
+              placeholder="Pattern, e.g. \s*\(.*\)$"
+              style={{ ...controlStyle, flex: 1, minWidth: 140, fontFamily: 'monospace', borderColor: draftErrors[index] ? '#EF4444' : '#333' }}
+            />
+            <input
+              type="text"
+              value={rule.replacement}
+              onChange={updateCustom(rule.id, 'replacement')}
+              placeholder="Replace with ($1 for groups)"
+              style={{ ...controlStyle, flex: 1, minWidth: 120, fontFamily: 'monospace' }}
+            />
+            <label style={{ ...checkboxLabelStyle, fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+              <input type="checkbox" checked={rule.ignoreCase} onChange={updateCustom(rule.id, 'ignoreCase')} />
+              Aa
+            </label>
+            <IconButton
+              size="small"
+              onClick={() => setCustomDraft(prev => prev.filter(other => other.id !== rule.id))}
+              sx={{ color: 'rgba(255,255,255,0.4)', '&:hover': { color: '#EF4444' } }}
+              title="Remove rule"
+            >
+              <Trash2 size={14} />
+            </IconButton>
+          </Box>
+          {draftErrors[index] && (
+            <Typography sx={{ fontSize: 12, color: '#EF4444', mt: 0.5 }}>{draftErrors[index]}</Typography>
+          )}
+        </Box>
+      ))}
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <Button
+          size="small"
+          onClick={() => setCustomDraft(prev => [...prev, createCustomRule()])}
+          startIcon={<Plus size={14} />}
+          sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}
+        >
+          Add rule
+        </Button>
+        {isDraftDirty && (
+          <Button
+            size="small"
+            variant="contained"
+            disabled={draftErrors.some(Boolean)}
+            onClick={() => onChange({ ...settings, custom: customDraft })}
+            sx={{ bgcolor: '#8E54F7', textTransform: 'none', '&:hover': { bgcolor: '#7c3aed' } }}
+          >
+            Apply rules
+          </Button>
+        )}
+      </Box>
+
+      {/* Before/after diff */}
+      <Box sx={{ display: 'flex', alignItems: 'center', mt: 2 }}>
+        <Typography sx={{ flex: 1, fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+          {changes.length === 0 ? 'No cells changed' : `${changes.length} cell${changes.length === 1 ? '' : 's'} changed`}
+        </Typography>
+        {changes.length > 0 && (
+          <Button size="small" onClick={() => setShowDiff(prev => !prev)} sx={{ color: '#8E54F7', textTransform: 'none' }}>
+            {showDiff ? 'Hide changes' : 'Show changes'}
+          </Button>
+        )}
+      </Box>
+      {showDiff && changes.length > 0 && (
+        <Box sx={{ maxHeight: 240, overflowY: 'auto', mt: 1, border: '1px solid #222', borderRadius: 1 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+            <thead>
+              <tr style={{ color: 'rgba(255,255,255,0.5)', textAlign: 'left' }}>
+                <th style={{ padding: '4px 8px' }}>Row</th>
+                <th style={{ padding: '4px 8px' }}>Column</th>
+                <th style={{ padding: '4px 8px' }}>Before</th>
+                <th style={{ padding: '4px 8px' }}>After</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.slice(0, MAX_DIFF_ROWS).map(change => (
+                <tr key={`${change.row}:${change.col}`} style={{ borderTop: '1px solid #222' }} title={change.rules.join(', ')}>
+                  <td style={{ padding: '4px 8px', color: 'rgba(255,255,255,0.5)' }}>{change.row}</td>
+                  <td style={{ padding: '4px 8px', color: 'rgba(255,255,255,0.7)' }}>{change.column}</td>
+                  <td style={{ padding: '4px 8px', color: '#F87171', textDecoration: 'line-through', fontFamily: 'monospace', whiteSpace: 'pre' }}>{change.before}</td>
+                  <td style={{ padding: '4px 8px', color: '#4ADE80', fontFamily: 'monospace', whiteSpace: 'pre' }}>{change.after}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {changes.length > MAX_DIFF_ROWS && (
+            <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', p: 1 }}>
+              …and {changes.length - MAX_DIFF_ROWS} more
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default CleanupRulesPanel;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Button, Typography, IconButton } from '@mui/material';
+import { Wand2, Save, X, Check } from 'lucide-react';
+import {
+  CANONICAL_FIELDS,
+  suggestMapping,
+  mappedColumnName,
+  headerSignature,
+  isMappingCompatible,
+  getMappingTemplates,
+  saveMappingTemplate,
+  deleteMappingTemplate
+} from '../utils/columnMapping';
+
+const controlStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 13,
+  padding: '4px 8px',
+  outline: 'none',
+  colorScheme: 'dark'
+};
+
+const entryToValue = (entry) => {
+  if (!entry) return 'keep';
+  return entry.action === 'field' ? `field:${entry.field}` : entry.action;
+};
+
+const valueToEntry = (value, previous) => {
+  if (value.startsWith('field:')) return { action: 'field', field: value.slice(6) };
+  if (value === 'rename') return { action: 'rename', name: previous?.name || '' };
+  return { action: value };
+};
+
+/**
+ * Map extracted headers to the canonical schema and manage saved templates
+ */
+const ColumnMapper = ({ header, mapping, templateName, onApply }) => {
+  const [draft, setDraft] = useState(() => (isMappingCompatible(mapping, header) ? mapping : suggestMapping(header)));
+  const [templates, setTemplates] = useState(() => getMappingTemplates());
+  const [newTemplateName, setNewTemplateName] = useState(templateName || '');
+
+  // Start from the applied mapping whenever it changes from outside
+  useEffect(() => {
+    setDraft(isMappingCompatible(mapping, header) ? mapping : suggestMapping(header));
+  }, [mapping, header]);
+
+  const signature = headerSignature(header);
+  const usedFields = new Set(draft.filter(entry => entry?.action === 'field').map(entry => entry.field));
+
+  const updateEntry = (index, value) => {
+    setDraft(prev => prev.map((entry, i) => (i === index ? valueToEntry(value, entry) : entry)));
+  };
+
+  const updateRename = (index, name) => {
+    setDraft(prev => prev.map((entry, i) => (i === index ? { action: 'rename', name } : entry)));
+  };
+
+  const handleSaveTemplate = () => {
+    if (!newTemplateName.trim()) return;
+    const template = saveMappingTemplate(newTemplateName, header, draft);
+    setTemplates(getMappingTemplates());
+    onApply(draft, template.name);
+  };
+
+  const handleDeleteTemplate = (templateId) => {
+    deleteMappingTemplate(templateId);
+    setTemplates(getMappingTemplates());
+  };
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 2 }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
+        <Typography sx={{ flex: 1, fontWeight: 600, color: '#fff', fontSize: 14 }}>
+          Column mapping
+          {templateName && (
+            <Box component="span" sx={{ ml: 1, fontWeight: 400, color: '#8E54F7' }}>· template “{templateName}”</Box>
+          )}
+        </Typography>
+        <Button
+          size="small"
+          onClick={() => setDraft(suggestMapping(header))}
+          startIcon={<Wand2 size={14} />}
+          sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}
+        >
+          Auto-detect
+        </Button>
+      </Box>
+
+      {/* Source column → canonical field */}
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'minmax(120px, 1fr) 24px minmax(160px, 1.4fr)', gap: 1, alignItems: 'center', maxHeight: 280, overflowY: 'auto', pr: 1 }}>
+        {header.map((source, index) => {
+          const entry = draft[index];
+          const value = entryToValue(entry);
+          return (
+            <React.Fragment key={index}>
+              <Typography sx={{ fontSize: 13, color: 'rgba(255,255,255,0.8)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={source}>
+                {source || <em style={{ opacity: 0.5 }}>(empty header)</em>}
+              </Typography>
+              <Typography sx={{ color: 'rgba(255,255,255,0.3)', textAlign: 'center' }}>→</Typography>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <select value={value} onChange={(e) => updateEntry(index, e.target.value)} style={{ ...controlStyle, flex: 1, minWidth: 0 }}>
+                  <option value="keep">Keep as “{source}”</option>
+                  <option value="drop">Drop column</option>
+                  <option value="rename">Rename…</option>
+                  <optgroup label="Canonical fields">
+                    {CANONICAL_FIELDS.map(field => (
+                      <option
+                        key={field.key}
+                        value={`field:${field.key}`}
+                        disabled={usedFields.has(field.key) && value !== `field:${field.key}`}
+                      >
+                        {field.label}
+                      </option>
+                    ))}
+                  </optgroup>
+                </select>
+                {entry?.action === 'rename' && (
+                  <input
+                    type="text"
+                    value={entry.name}
+                    onChange={(e) => updateRename(index, e.target.value)}
+                    placeholder={source}
+                    style={{ ...controlStyle, width: 120 }}
+                  />
+                )}
+              </Box>
+            </React.Fragment>
+          );
+        })}
+      </Box>
+
+      <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', mt: 1.5 }}>
+        Result columns: {header.map((source, index) => mappedColumnName(draft[index], source)).filter(name => name !== null).join(', ')}
+      </Typography>
+
+      {/* Actions */}
+      <Box sx={{ display: 'flex', gap: 1, mt: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <Button
+          size="small"
+          variant="contained"
+          onClick={() => onApply(draft, null)}
+          startIcon={<Check size={14} />}
+          sx={{ bgcolor: '#8E54F7', textTransform: 'none', '&:hover': { bgcolor: '#7c3aed' } }}
+        >
+          Apply mapping
+        </Button>
+        {mapping && (
+          <Button size="small" onClick={() => onApply(null, null)} sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}>
+            Use original columns
+          </Button>
+        )}
+        <Box sx={{ display: 'flex', gap: 1, ml: 'auto' }}>
+          <input
+            type="text"
+            value={newTemplateName}
+            onChange={(e) => setNewTemplateName(e.target.value)}
+            placeholder="Template name (e.g. supplier)"
+            style={{ ...controlStyle, width: 200 }}
+          />
+          <Button
+            size="small"
+            onClick={handleSaveTemplate}
+            disabled={!newTemplateName.trim()}
+            startIcon={<Save size={14} />}
+            sx={{ color: '#8E54F7', textTransform: 'none', '&.Mui-disabled': { color: 'rgba(255,255,255,0.3)' } }}
+          >
+            Save & apply
+          </Button>
+        </Box>
+      </Box>
+
+      {/* Saved templates */}
+      {templates.length > 0 && (
+        <Box sx={{ mt: 2, display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>Saved templates:</Typography>
+          {templates.map(template => {
+            const matches = template.signature === signature;
+            return (
+              <Box
+                key={template.id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 0.5,
+                  pl: 1.5,
+                  borderRadius: 4,
+                  fontSize: 12,
+                  border: '1px solid',
+                  borderColor: matches ? '#8E54F7' : '#333',
+                  color: matches ? '#fff' : 'rgba(255,255,255,0.6)'
+                }}
+                title={matches ? 'Matches this file’s headers' : 'Made for a different header layout'}
+              >
+                {template.name}
+                {matches && template.name !== templateName && (
+                  <Button
+                    size="small"
+                    onClick={() => onApply(template.mapping, template.name)}
+                    sx={{ minWidth: 0, p: 0, px: 0.5, fontSize: 12, color: '#8E54F7', textTransform: 'none' }}
+                  >
+                    apply
+                  </Button>
+                )}
+                <IconButton size="small" onClick={() => handleDeleteTemplate(template.id)} sx={{ color: 'rgba(255,255,255,0.4)', '&:hover': { color: '#EF4444' } }} title="Delete template">
+                  <X size={12} />
+                </IconButton>
+              </Box>
+            );
+          })}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ColumnMapper;
@@ -0,0 +1,259 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Box, Button, IconButton, Typography, CircularProgress } from '@mui/material';
+import { motion } from 'framer-motion';
+import { X, GitCompare, Upload, Download } from 'lucide-react';
+import { compareTables } from '../utils/compare';
+
+const DIFF_COLORS = {
+  changed: '#EF4444',
+  added: '#4ADE80',
+  removed: '#EF4444'
+};
+
+const cellSx = {
+  border: '1px solid #222',
+  px: 1,
+  py: 0.5,
+  fontSize: 12,
+  whiteSpace: 'nowrap',
+  maxWidth: 220,
+  overflow: 'hidden',
+  textOverflow: 'ellipsis'
+};
+
+const accuracyColor = (accuracy) => (accuracy >= 95 ? '#4ADE80' : accuracy >= 80 ? '#F59E0B' : '#EF4444');
+
+const DiffCell = ({ cell }) => {
+  if (cell.status === 'changed') {
+    return (
+      <Box component="td" title={`Expected: ${cell.expected || '(empty)'}`} sx={{ ...cellSx, bgcolor: `${DIFF_COLORS.changed}26`, color: '#fff' }}>
+        {cell.actual || <Box component="span" sx={{ color: 'rgba(255,255,255,0.4)' }}>(empty)</Box>}
+        <Box sx={{ fontSize: 11, color: DIFF_COLORS.changed, textDecoration: 'line-through' }}>{cell.expected || '(empty)'}</Box>
+      </Box>
+    );
+  }
+  if (cell.status === 'removed') {
+    return (
+      <Box component="td" sx={{ ...cellSx, color: DIFF_COLORS.removed, textDecoration: 'line-through' }}>
+        {cell.expected}
+      </Box>
+    );
+  }
+  if (cell.status === 'added') {
+    return <Box component="td" sx={{ ...cellSx, color: DIFF_COLORS.added }}>{cell.actual}</Box>;
+  }
+  return <Box component="td" sx={{ ...cellSx, color: 'rgba(255,255,255,0.8)' }}>{cell.actual}</Box>;
+};
+
+/**
+ * Extracted table against a hand-corrected reference CSV: cell-level diff and per-column accuracy
+ */
+const CompareDialog = ({ actualRows, actualLabel, reference, isLoading, onReferenceFile, onDownloadReport, onClose }) => {
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const comparison = useMemo(
+    () => (reference?.rows.length ? compareTables(actualRows, reference.rows) : null),
+    [actualRows, reference]
+  );
+
+  const visibleRows = useMemo(() => {
+    if (!comparison) return [];
+    return differencesOnly
+      ? comparison.rows.filter(row => row.status !== 'matched' || row.cells.some(cell => cell.status !== 'same'))
+      : comparison.rows;
+  }, [comparison, differencesOnly]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0];
+    if (selected) onReferenceFile(selected);
+    e.target.value = '';
+  };
+
+  return (
+    <Box
+      component={motion.div}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      sx={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        background: 'rgba(0, 0, 0, 0.9)',
+        backdropFilter: 'blur(5px)',
+        zIndex: 2000,
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        p: { xs: 2, md: 4 }
+      }}
+      onClick={onClose}
+    >
+      <Box
+        component={motion.div}
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        onClick={(e) => e.stopPropagation()}
+        sx={{
+          background: '#111',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+          borderRadius: '16px',
+          width: '100%',
+          maxWidth: '1200px',
+          height: '85vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)',
+          overflow: 'hidden'
+        }}
+      >
+        {/* Header */}
+        <Box sx={{
+          p: 2,
+          px: 3,
+          borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: 2,
+          bgcolor: '#0a0a0a'
+        }}>
+          <GitCompare color="#8E54F7" />
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography variant="h6" sx={{ color: '#fff', fontWeight: 600, fontSize: 18 }}>
+              Compare with reference
+            </Typography>
+            <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {reference ? reference.name : 'Choose a corrected CSV of the same invoice'}
+            </Typography>
+            {actualLabel && (
+              <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>
+                Compared: {actualLabel}
+              </Typography>
+            )}
+          </Box>
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} />
+          <Button
+            size="small"
+            onClick={() => fileInputRef.current?.click()}
+            startIcon={<Upload size={14} />}
+            sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+          >
+            {reference ? 'Change reference' : 'Upload reference CSV'}
+          </Button>
+          <IconButton onClick={onClose} sx={{ color: 'rgba(255,255,255,0.5)', '&:hover': { color: '#fff' } }}>
+            <X size={24} />
+          </IconButton>
+        </Box>
+
+        {/* Body */}
+        <Box sx={{ flex: 1, overflow: 'auto', p: 3, bgcolor: '#000' }}>
+          {isLoading ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100%' }}>
+              <CircularProgress sx={{ color: '#8E54F7' }} />
+            </Box>
+          ) : !comparison ? (
+            <Typography sx={{ color: 'rgba(255,255,255,0.5)', textAlign: 'center', mt: 6, fontSize: 14 }}>
+              Upload a reference CSV, or pick a converted file in the sidebar to compare against.
+            </Typography>
+          ) : (
+            <>
+              {/* Accuracy */}
+              <Box sx={{ display: 'flex', alignItems: 'baseline', gap: 2, mb: 1.5, flexWrap: 'wrap' }}>
+                <Typography sx={{ fontSize: 28, fontWeight: 600, color: accuracyColor(comparison.overall.accuracy ?? 0) }}>
+                  {comparison.overall.accuracy ?? 0}%
+                </Typography>
+                <Typography sx={{ fontSize: 13, color: 'rgba(255,255,255,0.6)' }}>
+                  {comparison.overall.correct} of {comparison.overall.total} cells correct ·{' '}
+                  {comparison.counts.matched} rows matched by {comparison.matchedBy === 'serial' ? 'S.NO' : 'similarity'} ·{' '}
+                  <Box component="span" sx={{ color: DIFF_COLORS.removed }}>{comparison.counts.removed} missing</Box> ·{' '}
+                  <Box component="span" sx={{ color: DIFF_COLORS.added }}>{comparison.counts.added} extra</Box>
+                </Typography>
+                <Button
+                  size="small"
+                  onClick={() => onDownloadReport(comparison)}
+                  startIcon={<Download size={14} />}
+                  sx={{ ml: 'auto', color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}
+                >
+                  Export accuracy
+                </Button>
+              </Box>
+
+              <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 1, mb: 2 }}>
+                {comparison.columnStats.map(column => (
+                  <Box key={column.name} sx={{ bgcolor: '#111', border: '1px solid #333', borderRadius: 2, px: 1.5, py: 1 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, mb: 0.5 }}>
+                      <Typography component="span" sx={{ fontSize: 12, color: '#fff', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {column.name}
+                      </Typography>
+                      <Typography component="span" sx={{ fontSize: 12, color: accuracyColor(column.accuracy) }}>
+                        {column.accuracy}%
+                      </Typography>
+                    </Box>
+                    <Box sx={{ height: 4, bgcolor: '#222', borderRadius: 2, overflow: 'hidden' }}>
+                      <Box sx={{ height: '100%', width: `${column.accuracy}%`, bgcolor: accuracyColor(column.accuracy) }} />
+                    </Box>
+                  </Box>
+                ))}
+              </Box>
+
+              {/* Diff */}
+              <Box component="label" sx={{ display: 'flex', alignItems: 'center', gap: 1, fontSize: 13, color: 'rgba(255,255,255,0.7)', mb: 1, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={differencesOnly}
+                  onChange={(e) => setDifferencesOnly(e.target.checked)}
+                  style={{ accentColor: '#8E54F7' }}
+                />
+                Only rows with differences
+              </Box>
+              <Box sx={{ overflow: 'auto', border: '1px solid #333', borderRadius: 2 }}>
+                <Box component="table" sx={{ borderCollapse: 'collapse', width: '100%' }}>
+                  <thead>
+                    <tr>
+                      <Box component="th" sx={{ ...cellSx, bgcolor: '#111', color: 'rgba(255,255,255,0.5)' }}>Ref / Ext</Box>
+                      {comparison.columns.map((column, index) => (
+                        <Box
+                          component="th"
+                          key={index}
+                          sx={{
+                            ...cellSx,
+                            bgcolor: '#111',
+                            textAlign: 'left',
+                            color: column.actIndex < 0 ? DIFF_COLORS.removed : column.refIndex < 0 ? DIFF_COLORS.added : '#fff'
+                          }}
+                          title={column.actIndex < 0 ? 'Missing from the extraction' : column.refIndex < 0 ? 'Not in the reference' : undefined}
+                        >
+                          {column.name}
+                        </Box>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleRows.map((row, index) => (
+                      <Box
+                        component="tr"
+                        key={index}
+                        sx={{ bgcolor: row.status === 'added' ? `${DIFF_COLORS.added}1a` : row.status === 'removed' ? `${DIFF_COLORS.removed}1a` : 'transparent' }}
+                      >
+                        <Box component="td" sx={{ ...cellSx, color: 'rgba(255,255,255,0.4)' }}>
+                          {row.refRow ?? '–'} / {row.actRow ?? '–'}
+                        </Box>
+                        {row.cells.map((cell, cellIndex) => <DiffCell key={cellIndex} cell={cell} />)}
+                      </Box>
+                    ))}
+                  </tbody>
+                </Box>
+              </Box>
+            </>
+          )}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default CompareDialog;
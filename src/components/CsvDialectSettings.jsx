@@ -0,0 +1,90 @@
+import React from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import {
+  CSV_DELIMITERS,
+  DECIMAL_SEPARATORS,
+  CSV_ENCODINGS,
+  LINE_ENDINGS,
+  QUOTING_MODES,
+  DEFAULT_CSV_DIALECT,
+  isDefaultCsvDialect
+} from '../utils/csvDialect';
+
+const selectStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 13,
+  padding: '6px 8px',
+  outline: 'none',
+  width: '100%',
+  colorScheme: 'dark'
+};
+
+const labelSx = { fontSize: 12, color: 'rgba(255,255,255,0.6)', mb: 0.5 };
+
+const Choice = ({ label, value, options, onChange, disabled }) => (
+  <Box>
+    <Typography sx={labelSx}>{label}</Typography>
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} style={{ ...selectStyle, opacity: disabled ? 0.5 : 1 }}>
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  </Box>
+);
+
+/**
+ * CSV dialect for downloads; changes are saved as the default
+ */
+const CsvDialectSettings = ({ dialect, onChange }) => {
+  const update = (key) => (value) => onChange({ ...dialect, [key]: value });
+  const isUtf8 = dialect.encoding === 'utf-8';
+  const clashes = dialect.delimiter === dialect.decimalSeparator;
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 3 }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
+        <Typography sx={{ flex: 1, fontWeight: 600, color: '#fff', fontSize: 14 }}>
+          CSV format
+        </Typography>
+        {!isDefaultCsvDialect(dialect) && (
+          <Button
+            size="small"
+            onClick={() => onChange(DEFAULT_CSV_DIALECT)}
+            sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', minWidth: 0, p: 0, '&:hover': { color: '#fff' } }}
+          >
+            Reset to defaults
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', sm: 'repeat(3, 1fr)' }, gap: 1.5 }}>
+        <Choice label="Delimiter" value={dialect.delimiter} options={CSV_DELIMITERS} onChange={update('delimiter')} />
+        <Choice label="Decimal separator" value={dialect.decimalSeparator} options={DECIMAL_SEPARATORS} onChange={update('decimalSeparator')} />
+        <Choice label="Quoting" value={dialect.quoting} options={QUOTING_MODES} onChange={update('quoting')} />
+        <Choice label="Encoding" value={dialect.encoding} options={CSV_ENCODINGS} onChange={update('encoding')} />
+        <Choice label="Line endings" value={dialect.lineEnding} options={LINE_ENDINGS} onChange={update('lineEnding')} />
+        <Box>
+          <Typography sx={labelSx}>Byte order mark</Typography>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: isUtf8 ? 'pointer' : 'default', fontSize: 13, color: 'rgba(255,255,255,0.8)', opacity: isUtf8 ? 1 : 0.5, paddingTop: 6 }}>
+            <input type="checkbox" checked={isUtf8 && dialect.bom} disabled={!isUtf8} onChange={(e) => update('bom')(e.target.checked)} />
+            Write UTF-8 BOM
+          </label>
+        </Box>
+      </Box>
+
+      {clashes && (
+        <Typography sx={{ fontSize: 12, color: '#F59E0B', mt: 1.5 }}>
+          Decimal numbers will be quoted because the delimiter is also the decimal separator.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default CsvDialectSettings;
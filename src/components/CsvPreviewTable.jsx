@@ -0,0 +1,80 @@
+import React from 'react';
+import { Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper } from '@mui/material';
+
+// Sticky cells need an opaque background so scrolled content doesn't show through
+const HEADER_BG = '#21163a';
+const ROW_NUMBER_BG = '#111';
+
+const cellSx = {
+  color: 'rgba(255,255,255,0.8)',
+  borderColor: 'rgba(255,255,255,0.1)',
+  whiteSpace: 'nowrap',
+  textAlign: 'left'
+};
+
+const headerCellSx = {
+  ...cellSx,
+  color: '#fff',
+  fontWeight: 600,
+  bgcolor: HEADER_BG
+};
+
+const rowNumberSx = {
+  position: 'sticky',
+  left: 0,
+  zIndex: 1,
+  bgcolor: ROW_NUMBER_BG,
+  color: 'rgba(255,255,255,0.4)',
+  borderColor: 'rgba(255,255,255,0.1)',
+  borderRight: '1px solid rgba(255,255,255,0.1)',
+  textAlign: 'right',
+  fontVariantNumeric: 'tabular-nums',
+  width: 48
+};
+
+/**
+ * Read-only table view of parsed CSV rows; the first row is used as the header
+ */
+const CsvPreviewTable = ({ rows, maxHeight = 420, showRowNumbers = true }) => {
+  const [header = [], ...body] = rows;
+  const columnCount = Math.max(header.length, ...body.map(row => row.length));
+  const columns = Array.from({ length: columnCount }, (_, index) => index);
+
+  return (
+    <TableContainer
+      component={Paper}
+      sx={{ bgcolor: 'rgba(255,255,255,0.05)', borderRadius: 2, maxHeight, overflow: 'auto' }}
+    >
+      <Table size="small" stickyHeader aria-label="csv preview table">
+        <TableHead>
+          <TableRow>
+            {showRowNumbers && (
+              <TableCell sx={{ ...rowNumberSx, bgcolor: HEADER_BG, zIndex: 3 }}>#</TableCell>
+            )}
+            {columns.map(index => (
+              <TableCell key={index} sx={headerCellSx}>
+                {header[index] ?? ''}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {body.map((row, rowIndex) => (
+            <TableRow key={rowIndex} hover sx={{ '&:last-child td, &:last-child th': { border: 0 } }}>
+              {showRowNumbers && (
+                <TableCell sx={rowNumberSx}>{rowIndex + 1}</TableCell>
+              )}
+              {columns.map(index => (
+                <TableCell key={index} sx={cellSx}>
+                  {row[index] ?? ''}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default CsvPreviewTable;
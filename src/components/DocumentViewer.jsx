@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Box, IconButton, Typography, CircularProgress } from '@mui/material';
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { loadPdfDocument } from '../utils/pdf';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 0.25;
+
+// Line items rarely start at the very top or end at the very bottom of a page
+const TABLE_TOP = 0.25;
+const TABLE_BOTTOM = 0.9;
+
+const controlSx = {
+  color: 'rgba(255,255,255,0.7)',
+  '&:hover': { color: '#fff', backgroundColor: 'rgba(142, 84, 247, 0.2)' },
+  '&.Mui-disabled': { color: 'rgba(255,255,255,0.2)' }
+};
+
+/**
+ * Original invoice (PDF or image) with page navigation and zoom
+ * focus is a 0-1 position through the whole document; the viewer jumps to the matching page and offset
+ */
+const DocumentViewer = ({ source, focus = null }) => {
+  const [pdf, setPdf] = useState(null);
+  const [page, setPage] = useState(1);
+  const [zoom, setZoom] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const scrollRef = useRef(null);
+  const canvasRef = useRef(null);
+  const pendingScrollRef = useRef(null);
+  // Read by the focus effect, which should only run for a new focus, not manual page changes
+  const pageRef = useRef(page);
+  pageRef.current = page;
+
+  const isPdf = source?.type === 'pdf';
+  const pageCount = isPdf ? pdf?.numPages || 0 : 1;
+
+  // Open the PDF once per document
+  useEffect(() => {
+    if (!isPdf || !source.url) return;
+
+    let cancelled = false;
+    let loaded = null;
+    setIsLoading(true);
+    setError(null);
+    setPage(1);
+
+    loadPdfDocument(source.url)
+      .then((doc) => {
+        loaded = doc;
+        if (cancelled) {
+          doc.destroy();
+          return;
+        }
+        setPdf(doc);
+      })
+      .catch((err) => {
+        console.error('Failed to open PDF:', err);
+        if (!cancelled) setError('Could not display this PDF.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      setPdf(null);
+      loaded?.destroy();
+    };
+  }, [isPdf, source?.url]);
+
+  const scrollToPending = useCallback(() => {
+    const container = scrollRef.current;
+    if (container && pendingScrollRef.current !== null) {
+      container.scrollTop = pendingScrollRef.current * (container.scrollHeight - container.clientHeight);
+      pendingScrollRef.current = null;
+    }
+  }, []);
+
+  // Render the current page at the container width times the zoom
+  useEffect(() => {
+    if (!pdf || !canvasRef.current || !scrollRef.current) return;
+
+    let cancelled = false;
+    let renderTask = null;
+
+    pdf.getPage(page).then((pdfPage) => {
+      if (cancelled) return;
+      const canvas = canvasRef.current;
+      const baseViewport = pdfPage.getViewport({ scale: 1 });
+      const fitScale = (scrollRef.current.clientWidth - 32) / baseViewport.width;
+      const pixelRatio = window.devicePixelRatio || 1;
+      const viewport = pdfPage.getViewport({ scale: fitScale * zoom * pixelRatio });
+
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      canvas.style.width = `${viewport.width / pixelRatio}px`;
+      canvas.style.height = `${viewport.height / pixelRatio}px`;
+
+      renderTask = pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport });
+      return renderTask.promise.then(() => {
+        if (!cancelled) scrollToPending();
+      });
+    }).catch((err) => {
+      if (err?.name !== 'RenderingCancelledException') console.error('Failed to render page:', err);
+    });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdf, page, zoom, scrollToPending]);
+
+  // Jump to roughly where the selected row sits in the document
+  useEffect(() => {
+    if (focus === null || !pageCount) return;
+
+    const position = Math.min(Math.max(focus, 0), 0.9999) * pageCount;
+    const targetPage = Math.floor(position) + 1;
+    const withinPage = position - Math.floor(position);
+    pendingScrollRef.current = TABLE_TOP + withinPage * (TABLE_BOTTOM - TABLE_TOP);
+
+    if (targetPage !== pageRef.current) {
+      setPage(targetPage);
+    } else {
+      scrollToPending();
+    }
+  }, [focus, pageCount, scrollToPending]);
+
+  if (!source) {
+    return (
+      <Box sx={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 3 }}>
+        <Typography sx={{ color: 'rgba(255,255,255,0.5)', textAlign: 'center', fontSize: 14 }}>
+          The original file is only kept while this page is open.<br />Upload it again to review it side by side.
+        </Typography>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      {/* Controls */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, px: 1, py: 0.5, borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+        {isPdf && (
+          <>
+            <IconButton size="small" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1} sx={controlSx} title="Previous page">
+              <ChevronLeft size={16} />
+            </IconButton>
+            <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.7)', minWidth: 64, textAlign: 'center' }}>
+              {pageCount ? `${page} / ${pageCount}` : '…'}
+            </Typography>
+            <IconButton size="small" onClick={() => setPage(prev => prev + 1)} disabled={page >= pageCount} sx={controlSx} title="Next page">
+              <ChevronRight size={16} />
+            </IconButton>
+          </>
+        )}
+        <Typography sx={{ flex: 1, fontSize: 12, color: 'rgba(255,255,255,0.4)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', px: 1 }}>
+          {source.name}
+        </Typography>
+        <IconButton size="small" onClick={() => setZoom(prev => Math.max(MIN_ZOOM, prev - ZOOM_STEP))} disabled={zoom <= MIN_ZOOM} sx={controlSx} title="Zoom out">
+          <ZoomOut size={16} />
+        </IconButton>
+        <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.7)', minWidth: 40, textAlign: 'center' }}>
+          {Math.round(zoom * 100)}%
+        </Typography>
+        <IconButton size="small" onClick={() => setZoom(prev => Math.min(MAX_ZOOM, prev + ZOOM_STEP))} disabled={zoom >= MAX_ZOOM} sx={controlSx} title="Zoom in">
+          <ZoomIn size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={() => setZoom(1)} sx={controlSx} title="Fit width">
+          <Maximize2 size={16} />
+        </IconButton>
+      </Box>
+
+      {/* Page */}
+      <Box ref={scrollRef} sx={{ flex: 1, overflow: 'auto', p: 2, bgcolor: '#1a1a1a', textAlign: 'center' }}>
+        {error ? (
+          <Typography sx={{ color: '#EF4444', fontSize: 14 }}>{error}</Typography>
+        ) : isPdf ? (
+          <>
+            {isLoading && <CircularProgress size={28} sx={{ color: '#8E54F7', mt: 4 }} />}
+            <canvas ref={canvasRef} style={{ display: isLoading ? 'none' : 'inline-block', boxShadow: '0 4px 16px rgba(0,0,0,0.5)' }} />
+          </>
+        ) : (
+          <img
+            src={source.url}
+            alt={source.name}
+            onLoad={scrollToPending}
+            style={{ width: `${zoom * 100}%`, maxWidth: 'none', boxShadow: '0 4px 16px rgba(0,0,0,0.5)' }}
+          />
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,272 @@
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { Box, IconButton, Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper, Typography, Divider } from '@mui/material';
+import { Undo2, Redo2, BetweenHorizontalStart, BetweenHorizontalEnd, BetweenVerticalStart, BetweenVerticalEnd, Rows3, Columns3 } from 'lucide-react';
+
+// Sticky cells need an opaque background so scrolled content doesn't show through
+const HEADER_BG = '#21163a';
+const ROW_NUMBER_BG = '#111';
+
+const cellSx = {
+  color: 'rgba(255,255,255,0.8)',
+  borderColor: 'rgba(255,255,255,0.1)',
+  whiteSpace: 'nowrap',
+  textAlign: 'left',
+  cursor: 'cell',
+  minWidth: 64,
+  position: 'relative'
+};
+
+const rowNumberSx = {
+  position: 'sticky',
+  left: 0,
+  zIndex: 1,
+  bgcolor: ROW_NUMBER_BG,
+  color: 'rgba(255,255,255,0.4)',
+  borderColor: 'rgba(255,255,255,0.1)',
+  borderRight: '1px solid rgba(255,255,255,0.1)',
+  textAlign: 'right',
+  fontVariantNumeric: 'tabular-nums',
+  width: 48
+};
+
+const selectedSx = {
+  outline: '2px solid #8E54F7',
+  outlineOffset: -2,
+  bgcolor: 'rgba(142, 84, 247, 0.15)'
+};
+
+const issueSx = {
+  bgcolor: 'rgba(239, 68, 68, 0.18)',
+  boxShadow: 'inset 0 -2px 0 #EF4444'
+};
+
+const toolbarButtonSx = {
+  color: 'rgba(255,255,255,0.7)',
+  '&:hover': { color: '#fff', backgroundColor: 'rgba(142, 84, 247, 0.2)' },
+  '&.Mui-disabled': { color: 'rgba(255,255,255,0.2)' }
+};
+
+/**
+ * Spreadsheet-like editor for a table held by useEditableTable; row 0 is the header
+ * cellIssues optionally maps "row:col" to messages for cells that should be highlighted,
+ * rowHighlights maps a row index to a {color, title} tint for the whole row
+ * onSelectionChange is called with the selected {row, col} (or null)
+ */
+const EditableCsvGrid = ({ table, maxHeight = 420, cellIssues = null, rowHighlights = null, onSelectionChange = null }) => {
+  const { rows, setCell, insertRow, deleteRow, insertColumn, deleteColumn, undo, redo, canUndo, canRedo } = table;
+  const [selected, setSelected] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    onSelectionChange?.(selected);
+  }, [selected, onSelectionChange]);
+
+  const rowCount = rows.length;
+  const colCount = rows[0]?.length || 0;
+
+  const clampSelection = useCallback((row, col) => ({
+    row: Math.max(0, Math.min(row, rowCount - 1)),
+    col: Math.max(0, Math.min(col, colCount - 1))
+  }), [rowCount, colCount]);
+
+  const focusGrid = () => {
+    containerRef.current?.focus({ preventScroll: true });
+  };
+
+  const startEditing = (row, col, initialValue) => {
+    setSelected({ row, col });
+    setEditing({ row, col, value: initialValue ?? rows[row]?.[col] ?? '' });
+  };
+
+  const commitEdit = (move) => {
+    if (!editing) return;
+    setCell(editing.row, editing.col, editing.value);
+    setEditing(null);
+    if (move) {
+      setSelected(clampSelection(editing.row + move.row, editing.col + move.col));
+    }
+    focusGrid();
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    focusGrid();
+  };
+
+  const handleGridKeyDown = (e) => {
+    if (editing) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) redo(); else undo();
+      return;
+    }
+    if (mod && e.key.toLowerCase() === 'y') {
+      e.preventDefault();
+      redo();
+      return;
+    }
+    if (!selected) return;
+
+    const moves = {
+      ArrowUp: { row: -1, col: 0 },
+      ArrowDown: { row: 1, col: 0 },
+      ArrowLeft: { row: 0, col: -1 },
+      ArrowRight: { row: 0, col: 1 },
+      Tab: { row: 0, col: e.shiftKey ? -1 : 1 }
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      setSelected(clampSelection(selected.row + moves[e.key].row, selected.col + moves[e.key].col));
+    } else if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      startEditing(selected.row, selected.col);
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      setCell(selected.row, selected.col, '');
+    } else if (e.key.length === 1 && !mod) {
+      // Typing over a selected cell replaces its content, like a spreadsheet
+      e.preventDefault();
+      startEditing(selected.row, selected.col, e.key);
+    }
+  };
+
+  const handleInputKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitEdit({ row: 1, col: 0 });
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      commitEdit({ row: 0, col: e.shiftKey ? -1 : 1 });
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelEdit();
+    }
+  };
+
+  const handleDeleteRow = () => {
+    if (!selected || selected.row === 0) return;
+    deleteRow(selected.row);
+    setSelected({ row: Math.min(selected.row, rowCount - 2), col: selected.col });
+  };
+
+  const handleDeleteColumn = () => {
+    if (!selected) return;
+    deleteColumn(selected.col);
+    setSelected({ row: selected.row, col: Math.min(selected.col, colCount - 2) });
+  };
+
+  const renderCell = (rowIndex, colIndex, sx) => {
+    const isSelected = selected?.row === rowIndex && selected?.col === colIndex;
+    const isEditing = editing?.row === rowIndex && editing?.col === colIndex;
+    const issues = cellIssues?.get(`${rowIndex}:${colIndex}`);
+
+    return (
+      <TableCell
+        key={colIndex}
+        title={issues ? issues.join('\n') : undefined}
+        sx={{
+          ...sx,
+          ...(issues ? issueSx : {}),
+          ...(isSelected ? selectedSx : {}),
+          ...(isSelected && rowIndex === 0 ? { bgcolor: HEADER_BG } : {})
+        }}
+        onClick={() => {
+          if (!isEditing) {
+            setSelected({ row: rowIndex, col: colIndex });
+            focusGrid();
+          }
+        }}
+        onDoubleClick={() => startEditing(rowIndex, colIndex)}
+      >
+        {isEditing ? (
+          <input
+            autoFocus
+            value={editing.value}
+            onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+            onKeyDown={handleInputKeyDown}
+            onBlur={() => commitEdit()}
+            style={{ background: '#000', border: 'none', color: '#fff', font: 'inherit', width: '100%', minWidth: 80, outline: 'none', padding: 0 }}
+          />
+        ) : (
+          rows[rowIndex][colIndex]
+        )}
+      </TableCell>
+    );
+  };
+
+  const hasSelection = Boolean(selected);
+  const isBodyRowSelected = hasSelection && selected.row > 0;
+
+  return (
+    <Box>
+      {/* Toolbar */}
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1, flexWrap: 'wrap' }}>
+        <IconButton size="small" onClick={undo} disabled={!canUndo} sx={toolbarButtonSx} title="Undo (Ctrl+Z)">
+          <Undo2 size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={redo} disabled={!canRedo} sx={toolbarButtonSx} title="Redo (Ctrl+Y)">
+          <Redo2 size={16} />
+        </IconButton>
+        <Divider orientation="vertical" flexItem sx={{ mx: 0.5, borderColor: 'rgba(255,255,255,0.1)' }} />
+        <IconButton size="small" onClick={() => insertRow(selected.row)} disabled={!isBodyRowSelected} sx={toolbarButtonSx} title="Insert row above">
+          <BetweenHorizontalStart size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={() => insertRow(hasSelection ? selected.row + 1 : rowCount)} sx={toolbarButtonSx} title="Insert row below">
+          <BetweenHorizontalEnd size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={handleDeleteRow} disabled={!isBodyRowSelected} sx={{ ...toolbarButtonSx, '&:hover': { color: '#EF4444' } }} title="Delete row">
+          <Rows3 size={16} />
+        </IconButton>
+        <Divider orientation="vertical" flexItem sx={{ mx: 0.5, borderColor: 'rgba(255,255,255,0.1)' }} />
+        <IconButton size="small" onClick={() => insertColumn(selected.col)} disabled={!hasSelection} sx={toolbarButtonSx} title="Insert column left">
+          <BetweenVerticalStart size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={() => insertColumn(hasSelection ? selected.col + 1 : colCount)} sx={toolbarButtonSx} title="Insert column right">
+          <BetweenVerticalEnd size={16} />
+        </IconButton>
+        <IconButton size="small" onClick={handleDeleteColumn} disabled={!hasSelection || colCount <= 1} sx={{ ...toolbarButtonSx, '&:hover': { color: '#EF4444' } }} title="Delete column">
+          <Columns3 size={16} />
+        </IconButton>
+        <Typography sx={{ ml: 'auto', fontSize: 12, color: 'rgba(255,255,255,0.4)' }}>
+          Double-click or press Enter to edit a cell
+        </Typography>
+      </Box>
+
+      <TableContainer
+        component={Paper}
+        ref={containerRef}
+        tabIndex={0}
+        onKeyDown={handleGridKeyDown}
+        sx={{ bgcolor: 'rgba(255,255,255,0.05)', borderRadius: 2, maxHeight, overflow: 'auto', outline: 'none' }}
+      >
+        <Table size="small" stickyHeader aria-label="editable csv table">
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ ...rowNumberSx, bgcolor: HEADER_BG, zIndex: 3 }}>#</TableCell>
+              {rows[0]?.map((_, colIndex) => renderCell(0, colIndex, { ...cellSx, color: '#fff', fontWeight: 600, bgcolor: HEADER_BG }))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.slice(1).map((row, index) => {
+              const rowIndex = index + 1;
+              const highlight = rowHighlights?.get(rowIndex);
+              return (
+                <TableRow key={rowIndex} hover title={highlight?.title}>
+                  <TableCell sx={highlight ? { ...rowNumberSx, boxShadow: `inset 3px 0 0 ${highlight.color}` } : rowNumberSx}>{rowIndex}</TableCell>
+                  {row.map((_, colIndex) => renderCell(rowIndex, colIndex, highlight ? { ...cellSx, bgcolor: `${highlight.color}26` } : cellSx))}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default EditableCsvGrid;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { CalendarClock, Download } from 'lucide-react';
+import { EXPIRY_COLORS } from '../utils/expiry';
+
+const Dot = ({ color }) => (
+  <Box component="span" sx={{ display: 'inline-block', width: 8, height: 8, borderRadius: '50%', bgcolor: color, mr: 0.75 }} />
+);
+
+/**
+ * Expired and near-expiry counts with the warning window and the report download
+ */
+const ExpirySummary = ({ items, warnMonths, onWarnMonthsChange, onDownloadReport }) => {
+  const expired = items.filter(item => item.status === 'expired').length;
+  const near = items.filter(item => item.status === 'near').length;
+  const invalid = items.filter(item => item.status === 'invalid').length;
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, px: 2, py: 1, mb: 1, display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}
+    >
+      <CalendarClock size={16} color="#8E54F7" />
+      <Typography sx={{ fontSize: 13, color: '#fff', display: 'flex', alignItems: 'center' }}>
+        <Dot color={EXPIRY_COLORS.expired} />{expired} expired
+      </Typography>
+      <Typography sx={{ fontSize: 13, color: '#fff', display: 'flex', alignItems: 'center' }}>
+        <Dot color={EXPIRY_COLORS.near} />{near} expiring within
+        <input
+          type="number"
+          min="1"
+          max="60"
+          value={warnMonths}
+          onChange={(e) => onWarnMonthsChange(Math.max(1, Math.min(60, Number(e.target.value) || 1)))}
+          style={{ background: '#000', border: '1px solid #333', borderRadius: 6, color: '#fff', fontSize: 12, width: 48, margin: '0 6px', padding: '2px 6px', outline: 'none', colorScheme: 'dark' }}
+        />
+        months
+      </Typography>
+      {invalid > 0 && (
+        <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>
+          {invalid} unreadable date{invalid === 1 ? '' : 's'}
+        </Typography>
+      )}
+      <Button
+        size="small"
+        onClick={onDownloadReport}
+        startIcon={<Download size={14} />}
+        sx={{ ml: 'auto', color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}
+      >
+        Expiry report
+      </Button>
+    </Box>
+  );
+};
+
+export default ExpirySummary;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { DEFAULT_FILENAME_TEMPLATE, FILENAME_TOKENS } from '../utils/filenames';
+
+const inputStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 14,
+  padding: '6px 10px',
+  outline: 'none',
+  width: '100%',
+  boxSizing: 'border-box',
+  fontFamily: 'monospace'
+};
+
+/**
+ * Template used to name every saved file, with clickable tokens and a live preview
+ */
+const FilenameTemplateSettings = ({ template, preview, onChange }) => (
+  <Box
+    onClick={(e) => e.stopPropagation()}
+    sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 3 }}
+  >
+    <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
+      <Typography sx={{ flex: 1, fontWeight: 600, color: '#fff', fontSize: 14 }}>
+        Filename template
+      </Typography>
+      {template !== DEFAULT_FILENAME_TEMPLATE && (
+        <Button
+          size="small"
+          onClick={() => onChange(DEFAULT_FILENAME_TEMPLATE)}
+          sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', minWidth: 0, p: 0, '&:hover': { color: '#fff' } }}
+        >
+          Reset to default
+        </Button>
+      )}
+    </Box>
+
+    <input
+      type="text"
+      value={template}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={DEFAULT_FILENAME_TEMPLATE}
+      style={inputStyle}
+    />
+
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.75, mt: 1 }}>
+      {FILENAME_TOKENS.map(({ token, description }) => (
+        <Box
+          key={token}
+          component="button"
+          type="button"
+          title={description}
+          onClick={() => onChange(`${template}${token}`)}
+          sx={{
+            bgcolor: 'rgba(142, 84, 247, 0.1)',
+            border: '1px solid rgba(142, 84, 247, 0.3)',
+            borderRadius: 1,
+            color: '#8E54F7',
+            fontSize: 12,
+            fontFamily: 'monospace',
+            px: 0.75,
+            py: 0.25,
+            cursor: 'pointer',
+            '&:hover': { bgcolor: 'rgba(142, 84, 247, 0.2)' }
+          }}
+        >
+          {token}
+        </Box>
+      ))}
+    </Box>
+
+    <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)', mt: 1 }}>
+      Next download: <Box component="span" sx={{ color: '#fff' }}>{preview}</Box>
+    </Typography>
+  </Box>
+);
+
+export default FilenameTemplateSettings;
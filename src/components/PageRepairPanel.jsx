@@ -0,0 +1,68 @@
+import React from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { Scissors } from 'lucide-react';
+import { FIX_TYPES } from '../utils/pageRepair';
+
+const describeFix = (fix) => {
+  switch (fix.type) {
+    case 'repeatedHeader':
+      return 'Removed repeated header row';
+    case 'subtotal':
+      return `Dropped “${fix.text}”`;
+    case 'continuation':
+      return `Merged “${fix.text}” into row ${fix.parentRow}`;
+    default:
+      return fix.text;
+  }
+};
+
+/**
+ * Page-break repairs applied to the converted CSV; each one can be reverted
+ */
+const PageRepairPanel = ({ fixes, onToggleFix, onRevertAll }) => {
+  const appliedCount = fixes.filter(fix => !fix.reverted).length;
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, px: 2, py: 1.5, mb: 1 }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Scissors size={16} color="#8E54F7" />
+        <Typography sx={{ flex: 1, fontSize: 13, color: '#fff' }}>
+          {appliedCount} of {fixes.length} page-break fix{fixes.length === 1 ? '' : 'es'} applied
+        </Typography>
+        {appliedCount > 0 && (
+          <Button size="small" onClick={onRevertAll} sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', '&:hover': { color: '#fff' } }}>
+            Revert all
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ mt: 1, maxHeight: 160, overflowY: 'auto' }}>
+        {fixes.map(fix => (
+          <Box key={fix.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.25, opacity: fix.reverted ? 0.5 : 1 }}>
+            <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.4)', minWidth: 52 }}>
+              Row {fix.row}
+            </Typography>
+            <Typography sx={{ fontSize: 11, color: '#8E54F7', minWidth: 150 }}>
+              {FIX_TYPES[fix.type]}
+            </Typography>
+            <Typography sx={{ flex: 1, fontSize: 12, color: 'rgba(255,255,255,0.8)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', textDecoration: fix.reverted ? 'line-through' : 'none' }} title={fix.text}>
+              {describeFix(fix)}
+            </Typography>
+            <Button
+              size="small"
+              onClick={() => onToggleFix(fix.id)}
+              sx={{ minWidth: 0, fontSize: 12, color: fix.reverted ? '#8E54F7' : 'rgba(255,255,255,0.6)', textTransform: 'none' }}
+            >
+              {fix.reverted ? 'Re-apply' : 'Revert'}
+            </Button>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default PageRepairPanel;
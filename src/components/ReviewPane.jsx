@@ -0,0 +1,78 @@
+import React, { useState, useCallback } from 'react';
+import { Box, IconButton, Typography } from '@mui/material';
+import { motion } from 'framer-motion';
+import { X, Columns2 } from 'lucide-react';
+import DocumentViewer from './DocumentViewer';
+import EditableCsvGrid from './EditableCsvGrid';
+
+/**
+ * Full-screen split view: the original invoice next to the editable extracted table
+ * Selecting a row scrolls the document to roughly where that row is printed
+ */
+const ReviewPane = ({ source, table, cellIssues, rowHighlights, onClose }) => {
+  const [focus, setFocus] = useState(null);
+  const bodyRowCount = table.rows.length - 1;
+
+  const handleSelectionChange = useCallback((selected) => {
+    if (!selected || selected.row === 0 || bodyRowCount <= 0) return;
+    // Assume rows are spread evenly through the document, in order
+    setFocus((selected.row - 0.5) / bodyRowCount);
+  }, [bodyRowCount]);
+
+  return (
+    <Box
+      component={motion.div}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      sx={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        width: '100%',
+        height: '100%',
+        background: 'rgba(0, 0, 0, 0.95)',
+        zIndex: 2000,
+        display: 'flex',
+        flexDirection: 'column'
+      }}
+    >
+      {/* Header */}
+      <Box sx={{
+        p: 1.5,
+        px: 3,
+        borderBottom: '1px solid rgba(255, 255, 255, 0.1)',
+        display: 'flex',
+        alignItems: 'center',
+        gap: 2,
+        bgcolor: '#0a0a0a'
+      }}>
+        <Columns2 color="#8E54F7" />
+        <Typography variant="h6" sx={{ flex: 1, color: '#fff', fontWeight: 600, fontSize: 18 }}>
+          Review against the original
+        </Typography>
+        <IconButton onClick={onClose} sx={{ color: 'rgba(255,255,255,0.5)', '&:hover': { color: '#fff' } }}>
+          <X size={24} />
+        </IconButton>
+      </Box>
+
+      {/* Document | table */}
+      <Box sx={{ flex: 1, display: 'flex', flexDirection: { xs: 'column', md: 'row' }, minHeight: 0 }}>
+        <Box sx={{ flex: 1, minWidth: 0, minHeight: 0, borderRight: { md: '1px solid rgba(255,255,255,0.1)' }, bgcolor: '#111' }}>
+          <DocumentViewer source={source} focus={focus} />
+        </Box>
+        <Box sx={{ flex: 1, minWidth: 0, minHeight: 0, p: 2, overflow: 'hidden', bgcolor: '#000' }}>
+          <EditableCsvGrid
+            table={table}
+            maxHeight="calc(100vh - 150px)"
+            cellIssues={cellIssues}
+            rowHighlights={rowHighlights}
+            onSelectionChange={handleSelectionChange}
+          />
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default ReviewPane;
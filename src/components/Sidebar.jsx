@@ -1,9 +1,84 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Box, Button, Typography, IconButton, List, ListItem, ListItemText, ListItemIcon, Divider, CircularProgress, Alert } from '@mui/material';
-import { FileText, Download, Trash2, RotateCcw, X, Folder, Calendar } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Box, Button, Typography, IconButton, ListItem, ListItemText, ListItemIcon, Divider, CircularProgress, LinearProgress, Alert } from '@mui/material';
+import { FileText, Download, Trash2, RotateCcw, X, Folder, Calendar, Combine, GitCompare, FileArchive, Search, SlidersHorizontal } from 'lucide-react';
 import { format, isToday, isYesterday, subDays, isAfter } from 'date-fns';
+import { toast } from 'sonner';
+import { deleteFile, getFileContent, getFilesPage } from '../api';
+import { parseCsv } from '../utils/csv';
+import { mergeTables } from '../utils/merge';
+import { buildExport, getExportFormat } from '../utils/exporters';
+import { saveBlob } from '../utils/download';
+import { runWithConcurrency } from '../utils/concurrency';
+import { usePendingDeletes } from '../hooks/usePendingDeletes';
+import { useVirtualList } from '../hooks/useVirtualList';
+import { useFileEvents } from '../hooks/useFileEvents';
+import { isDefaultCsvDialect, loadCsvDialect } from '../utils/csvDialect';
+import { applyFilenameTemplate, extractFilenameDetails, loadFilenameTemplate, templateNeedsRows, uniqueFilename } from '../utils/filenames';
+import { MANIFEST_NAME, buildManifest, buildZip } from '../utils/archive';
+import { DEFAULT_FILE_FILTERS, FILE_SORTS, SIZE_FILTERS, filterFiles, hasActiveFilters, loadFileFilters, saveFileFilters } from '../utils/fileFilters';
 
-const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
+// Formats offered for the merged download
+const MERGE_FORMATS = ['csv', 'xlsx'];
+
+// Requests in flight at once during bulk deletes and downloads
+const BULK_CONCURRENCY = 4;
+
+// How long a delete can be undone before it is sent
+const DELETE_GRACE_MS = 8000;
+
+// Files requested per page of history
+const FILES_PAGE_SIZE = 50;
+
+// Row heights assumed until a row has been rendered and measured
+const ESTIMATED_FILE_ROW_HEIGHT = 132;
+const ESTIMATED_HEADER_ROW_HEIGHT = 36;
+
+// Start loading the next page when this many rows are left below the visible ones
+const LOAD_MORE_THRESHOLD = 10;
+
+const toastStyle = { border: '1px solid #8E54F7', color: '#fff', background: '#000' };
+
+const filterControlStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 12,
+  padding: '4px 6px',
+  outline: 'none',
+  colorScheme: 'dark',
+  minWidth: 0
+};
+
+/**
+ * Fetch a converted file ready to save: in the saved CSV dialect and named from the filename template
+ * @returns {Promise<{blob: Blob, name: string}>} Name without extension
+ */
+async function prepareDownload(file, { template, dialect }) {
+  const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
+
+  // Fetch the file as a Blob: a cross-origin link would ignore the chosen filename
+  const response = await fetch(`${apiBase}/api/files/download/${file.id}`);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`.trim());
+  }
+  let blob = await response.blob();
+
+  // Only read the table when the dialect or the filename needs it
+  const rows = templateNeedsRows(template) || !isDefaultCsvDialect(dialect) ? parseCsv(await blob.text()) : null;
+  if (!isDefaultCsvDialect(dialect)) {
+    blob = await buildExport(rows, 'csv', { csv: dialect });
+  }
+
+  const name = applyFilenameTemplate(template, {
+    original: file.filename,
+    jobId: file.jobId || '',
+    ...(rows ? extractFilenameDetails(rows) : {})
+  });
+  return { blob, name };
+}
+
+const Sidebar = ({ isOpen, onToggle, onFileSelect, onCompare }) => {
   const [files, setFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -11,43 +86,66 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
   const [refreshing, setRefreshing] = useState(false);
   const [deletingFiles, setDeletingFiles] = useState(new Set());
   const [hasLoadedOnce, setHasLoadedOnce] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [mergeFormat, setMergeFormat] = useState('csv');
+  const [merging, setMerging] = useState(false);
+  const [includeManifest, setIncludeManifest] = useState(true);
+  const [zipProgress, setZipProgress] = useState(null);
+  const [deleteProgress, setDeleteProgress] = useState(null);
+  // Files a bulk delete could not remove, with the reason, until retried or dismissed
+  const [failedDeletes, setFailedDeletes] = useState([]);
+  const [filters, setFilters] = useState(loadFileFilters);
+  const [filtersOpen, setFiltersOpen] = useState(() => hasActiveFilters(filters));
+  // Where the next page of history starts, or null once everything is loaded
+  const [nextPage, setNextPage] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  // Bumped by every full reload so pages requested before it are dropped
+  const filesRequestRef = useRef(0);
+  const loadedCountRef = useRef(0);
+  loadedCountRef.current = files.length;
+  const scrollRef = useRef(null);
+  const listRef = useRef(null);
 
+  const updateFilters = useCallback((changes) => {
+    setFilters(prev => {
+      const next = { ...prev, ...changes };
+      saveFileFilters(next);
+      return next;
+    });
+  }, []);
+
+  // Load the first page again, as many files as are already shown so scrolled-in pages aren't dropped
   const fetchFiles = useCallback(async (showLoading = true) => {
+    const requestId = ++filesRequestRef.current;
     if (showLoading) {
       setLoading(true);
     }
     setError(null);
+    // Add timeout and abort controller for a better performance
+    const controller = new AbortController();
     try {
-      const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
-
-      // Add timeout and abort controller for a better performance
-      const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout for initial load
 
-      const response = await fetch(`${apiBase}/api/files`, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json',
-          'Cache-Control': 'no-cache'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch files: ${response.status} ${response.statusText}`);
+      let page;
+      try {
+        page = await getFilesPage({}, { limit: Math.max(FILES_PAGE_SIZE, loadedCountRef.current), signal: controller.signal });
+      } finally {
+        clearTimeout(timeoutId);
       }
+      if (requestId !== filesRequestRef.current) return;
 
-      const data = await response.json();
-      setFiles(data.files || []);
+      setFiles(page.files);
+      setNextPage(page.next);
       setStats({
-        totalFiles: data.totalFiles || 0,
-        formattedTotalSize: data.formattedTotalSize || '0 Bytes'
+        totalFiles: page.totalFiles,
+        formattedTotalSize: page.formattedTotalSize
       });
       setHasLoadedOnce(true);
     } catch (err) {
+      if (requestId !== filesRequestRef.current) return;
       console.error('Failed to fetch files:', err);
-      if (err.name === 'AbortError') {
+      if (controller.signal.aborted) {
         setError('Connection timeout. The server may be starting up. Please try again.');
       } else if (err.message.includes('Failed to fetch')) {
         setError('Unable to connect to server. Please check your internet connection and try again.');
@@ -61,6 +159,37 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
     }
   }, []);
 
+  const loadMoreFiles = useCallback(async () => {
+    if (!nextPage || loadingMore) return;
+
+    const requestId = filesRequestRef.current;
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    try {
+      const page = await getFilesPage(nextPage, { limit: FILES_PAGE_SIZE });
+      // A refresh replaced the list while this page was loading
+      if (requestId !== filesRequestRef.current) return;
+
+      setFiles(prev => {
+        // Files uploaded since the first page can shift later pages; skip the repeats
+        const loadedIds = new Set(prev.map(file => file.id));
+        return [...prev, ...page.files.filter(file => !loadedIds.has(file.id))];
+      });
+      setNextPage(page.next);
+      setStats({
+        totalFiles: page.totalFiles,
+        formattedTotalSize: page.formattedTotalSize
+      });
+    } catch (err) {
+      console.error('Failed to load more files:', err);
+      if (requestId === filesRequestRef.current) {
+        setLoadMoreError('Could not load more files');
+      }
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextPage, loadingMore]);
+
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
     await fetchFiles(false); // Don't show loading spinner for refresh
@@ -69,19 +198,8 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
 
   const handleDownload = useCallback(async (file) => {
     try {
-      const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
-
-      // Use the direct download endpoint from the backend
-      const downloadUrl = `${apiBase}/api/files/download/${file.id}`;
-
-      // Create a temporary link to trigger download
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = file.filename.replace(/\.pdf$/i, '.csv');
-      link.target = '_blank'; // Open in new tab as fallback
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const { blob, name } = await prepareDownload(file, { template: loadFilenameTemplate(), dialect: loadCsvDialect() });
+      saveBlob(blob, `${name}.csv`);
     } catch (err) {
       console.error('Download failed:', err);
       setError('Download failed');
@@ -94,80 +212,213 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
     }
   }, [onFileSelect]);
 
-  const handleDelete = useCallback(async (file) => {
-    if (!confirm(`Are you sure you want to delete "${file.filename}"?`)) {
-      return;
-    }
-    setDeletingFiles(prev => new Set([...prev, file.id]));
+  // Delete several files a few at a time; keep whatever succeeded even when some fail
+  const runBulkDelete = useCallback(async (targets) => {
+    if (targets.length === 0) return;
+
+    const targetIds = new Set(targets.map(file => file.id));
+    // A single file shows its own spinner; only bulk deletes need the progress bar
+    const showProgress = targets.length > 1;
+
+    setError(null);
+    setDeletingFiles(prev => new Set([...prev, ...targetIds]));
+    if (showProgress) setDeleteProgress({ done: 0, total: targets.length });
     try {
-      const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
-      const response = await fetch(`${apiBase}/api/files/${file.id}`, {
-        method: 'DELETE'
+      const outcomes = await runWithConcurrency(targets, file => deleteFile(file.id), {
+        concurrency: BULK_CONCURRENCY,
+        onProgress: (done) => showProgress && setDeleteProgress(prev => ({ ...prev, done }))
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to delete file: ${response.status} ${response.statusText}`);
-      }
+      const deletedIds = new Set(outcomes.filter(outcome => outcome.ok).map(outcome => outcome.item.id));
+      const failures = outcomes
+        .filter(outcome => !outcome.ok)
+        .map(outcome => ({ file: outcome.item, error: outcome.error?.message || 'Delete failed' }));
+      failures.forEach(({ file, error }) => console.error(`Failed to delete ${file.filename}:`, error));
 
-      // Remove from local state
-      setFiles(prev => prev.filter(f => f.id !== file.id));
-      setStats(prev => ({
-        totalFiles: prev.totalFiles - 1,
-        formattedTotalSize: prev.formattedTotalSize
-      }));
-    } catch (err) {
-      console.error('Failed to delete file:', err);
-      setError('Failed to delete file');
+      setFiles(prev => prev.filter(file => !deletedIds.has(file.id)));
+      if (deletedIds.size > 0) {
+        setStats(prev => {
+          const totalFiles = Math.max(0, prev.totalFiles - deletedIds.size);
+          return { totalFiles, formattedTotalSize: totalFiles === 0 ? '0 Bytes' : prev.formattedTotalSize };
+        });
+        // Only the server knows the new total size; until it answers the old one stays
+        getFilesPage({}, { limit: 1 })
+          .then(page => setStats({ totalFiles: page.totalFiles, formattedTotalSize: page.formattedTotalSize }))
+          .catch(err => console.warn('Failed to refresh file stats:', err));
+      }
+      setSelectedIds(prev => new Set([...prev].filter(id => !deletedIds.has(id))));
+      setFailedDeletes(prev => [...prev.filter(failure => !targetIds.has(failure.file.id)), ...failures]);
     } finally {
-      setDeletingFiles(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(file.id);
-        return newSet;
-      });
+      setDeletingFiles(prev => new Set([...prev].filter(id => !targetIds.has(id))));
+      if (showProgress) setDeleteProgress(null);
     }
   }, []);
 
-  const handleDeleteAll = useCallback(async () => {
-    if (files.length === 0) return;
+  const { pendingIds, schedule, undo } = usePendingDeletes({
+    gracePeriodMs: DELETE_GRACE_MS,
+    onCommit: runBulkDelete,
+    onRestored: (count) => toast(`${count} file${count === 1 ? ' was' : 's were'} kept: the page closed before the delete was sent`, { style: toastStyle })
+  });
 
-    if (!confirm(`Are you sure you want to delete all ${files.length} files? This action cannot be undone.`)) {
-      return;
-    }
+  // Files waiting out their grace period are hidden everywhere
+  const liveFiles = useMemo(() => files.filter(file => !pendingIds.has(file.id)), [files, pendingIds]);
+  const visibleFiles = useMemo(() => filterFiles(liveFiles, filters), [liveFiles, filters]);
 
-    setDeletingFiles(prev => new Set(files.map(f => f.id)));
-    try {
-      const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
+  // Hide the files now and delete them once the undo window has passed
+  const scheduleDelete = useCallback((targets, noun = 'files') => {
+    if (targets.length === 0) return;
+
+    const targetIds = new Set(targets.map(file => file.id));
+    setSelectedIds(prev => new Set([...prev].filter(id => !targetIds.has(id))));
+    setFailedDeletes(prev => prev.filter(failure => !targetIds.has(failure.file.id)));
+
+    const batchId = schedule(targets);
+    toast(targets.length === 1 ? `Deleted "${targets[0].filename}"` : `Deleted ${targets.length} ${noun}`, {
+      duration: DELETE_GRACE_MS,
+      style: toastStyle,
+      action: { label: 'Undo', onClick: () => undo(batchId) }
+    });
+  }, [schedule, undo]);
 
-      // Delete all files in parallel
-      const deletePromises = files.map(file =>
-        fetch(`${apiBase}/api/files/${file.id}`, {
-          method: 'DELETE'
-        })
-      );
+  const handleDelete = useCallback((file) => {
+    scheduleDelete([file]);
+  }, [scheduleDelete]);
 
-      const responses = await Promise.all(deletePromises);
+  // Only what the filters leave on screen; hidden files are never swept up
+  // Pages not loaded yet aren't either, so the button and toast say "loaded" until everything is in
+  const handleDeleteAll = useCallback(() => {
+    scheduleDelete(visibleFiles, nextPage ? 'loaded files' : 'files');
+  }, [visibleFiles, nextPage, scheduleDelete]);
 
-      // Check if any deletions failed
-      const failedDeletions = responses.filter(response => !response.ok);
-      if (failedDeletions.length > 0) {
-        throw new Error(`Failed to delete ${failedDeletions.length} files`);
+  const handleDeleteSelected = useCallback(() => {
+    scheduleDelete(liveFiles.filter(file => selectedIds.has(file.id)));
+  }, [liveFiles, selectedIds, scheduleDelete]);
+
+  const handleRetryFailedDeletes = useCallback(() => {
+    runBulkDelete(failedDeletes.map(({ file }) => file));
+  }, [failedDeletes, runBulkDelete]);
+
+  const toggleSelected = useCallback((fileId) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(fileId)) {
+        next.delete(fileId);
+      } else {
+        next.add(fileId);
       }
+      return next;
+    });
+  }, []);
 
-      // Clear all files from local state
-      setFiles([]);
-      setStats({
-        totalFiles: 0,
-        formattedTotalSize: '0 Bytes'
+  const handleMerge = useCallback(async () => {
+    // Oldest first, so the combined sheet reads in upload order
+    const selected = liveFiles
+      .filter(file => selectedIds.has(file.id))
+      .sort((a, b) => new Date(a.uploadDate || 0) - new Date(b.uploadDate || 0));
+    if (selected.length < 2) return;
+
+    setMerging(true);
+    setError(null);
+    try {
+      const outcomes = await runWithConcurrency(selected, async (file) => ({
+        rows: parseCsv(await getFileContent(file.id)),
+        sourceFile: file.filename,
+        uploadDate: file.uploadDate ? format(new Date(file.uploadDate), 'yyyy-MM-dd') : ''
+      }), { concurrency: BULK_CONCURRENCY });
+
+      // A merge missing some files would look complete, so name the ones that broke and stop
+      const failures = outcomes.filter(outcome => !outcome.ok);
+      if (failures.length > 0) {
+        failures.forEach(({ item, error }) => console.error(`Failed to fetch ${item.filename} for merging:`, error));
+        setError(`Could not merge: ${failures.map(({ item }) => item.filename).join(', ')} could not be fetched`);
+        setSelectedIds(new Set(selected.map(file => file.id)));
+        return;
+      }
+      const sources = outcomes.map(outcome => outcome.value);
+
+      const blob = await buildExport(mergeTables(sources), mergeFormat, { csv: loadCsvDialect() });
+      const name = applyFilenameTemplate(loadFilenameTemplate(), { original: `merged-${format(new Date(), 'yyyy-MM-dd')}` });
+      saveBlob(blob, `${name}.${getExportFormat(mergeFormat).extension}`);
+      setSelectedIds(new Set());
+    } catch (err) {
+      console.error('Failed to merge files:', err);
+      setError('Failed to merge the selected files');
+    } finally {
+      setMerging(false);
+    }
+  }, [liveFiles, selectedIds, mergeFormat]);
+
+  const handleZipDownload = useCallback(async () => {
+    const selected = liveFiles.filter(file => selectedIds.has(file.id));
+    if (selected.length === 0) return;
+
+    const options = { template: loadFilenameTemplate(), dialect: loadCsvDialect() };
+    const taken = new Set(includeManifest ? [MANIFEST_NAME] : []);
+    const entries = [];
+    const manifest = [];
+    const failedIds = new Set();
+
+    setError(null);
+    setZipProgress({ label: 'Fetching', done: 0, total: selected.length });
+    try {
+      const outcomes = await runWithConcurrency(selected, file => prepareDownload(file, options), {
+        concurrency: BULK_CONCURRENCY,
+        onProgress: (done) => setZipProgress(prev => ({ ...prev, done }))
+      });
+
+      // Name the entries in selection order so duplicates are numbered predictably
+      outcomes.forEach(({ item: file, ok, value, error }) => {
+        const record = {
+          filename: file.filename,
+          uploadDate: file.uploadDate ? format(new Date(file.uploadDate), 'yyyy-MM-dd HH:mm') : '',
+          size: file.formattedSize || ''
+        };
+        if (ok) {
+          record.archiveName = uniqueFilename(`${value.name}.csv`, taken);
+          entries.push({ name: record.archiveName, content: value.blob });
+        } else {
+          console.error(`Failed to fetch ${file.filename}:`, error);
+          record.error = error?.message || 'Download failed';
+          failedIds.add(file.id);
+        }
+        manifest.push(record);
       });
+
+      if (entries.length === 0) {
+        setError('None of the selected files could be downloaded. Please try again.');
+        return;
+      }
+      if (includeManifest) {
+        entries.push({ name: MANIFEST_NAME, content: buildManifest(manifest) });
+      }
+
+      setZipProgress({ label: 'Compressing', done: 0, total: 100 });
+      const zip = await buildZip(entries, (percent) => setZipProgress(prev => ({ ...prev, done: Math.round(percent) })));
+      const name = applyFilenameTemplate(options.template, { original: `converted-${format(new Date(), 'yyyy-MM-dd')}` });
+      saveBlob(zip, `${name}.zip`);
+
+      if (failedIds.size > 0) {
+        // Keep the failed files selected so they can be retried
+        const failedNames = selected.filter(file => failedIds.has(file.id)).map(file => file.filename);
+        setError(`${failedIds.size} file${failedIds.size === 1 ? '' : 's'} could not be added: ${failedNames.join(', ')}`);
+        setSelectedIds(failedIds);
+      } else {
+        setSelectedIds(new Set());
+      }
     } catch (err) {
-      console.error('Failed to delete all files:', err);
-      setError('Failed to delete all files');
+      console.error('Failed to create ZIP:', err);
+      setError('Failed to create the ZIP archive');
     } finally {
-      setDeletingFiles(new Set());
+      setZipProgress(null);
     }
-  }, [files]);
+  }, [liveFiles, selectedIds, includeManifest]);
 
   const getGroupedFiles = useCallback(() => {
+    // Date groups only make sense while the list is in date order
+    if (filters.sort !== 'newest' && filters.sort !== 'oldest') {
+      return [{ title: hasActiveFilters(filters) ? 'Matching files' : 'All files', files: visibleFiles }];
+    }
+
     const groups = {
       today: [],
       yesterday: [],
@@ -175,10 +426,8 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
       older: []
     };
 
-    files.forEach(file => {
-      // Assuming file has uploadDate property, otherwise use fallback or current date
-      // If your API doesn't return uploadDate, you might need to add it to backend first
-      // For now, let's assume it exists or use a random date for demo if missing
+    visibleFiles.forEach(file => {
+      // Files without an upload date count as new
       const date = file.uploadDate ? new Date(file.uploadDate) : new Date();
 
       if (isToday(date)) {
@@ -192,130 +441,241 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
       }
     });
 
-    return groups;
-  }, [files]);
+    const ordered = [
+      { title: 'Today', files: groups.today },
+      { title: 'Yesterday', files: groups.yesterday },
+      { title: 'Previous 7 Days', files: groups.lastWeek },
+      { title: 'Older', files: groups.older }
+    ];
+    return filters.sort === 'oldest' ? ordered.reverse() : ordered;
+  }, [visibleFiles, filters]);
 
-  const groupedFiles = getGroupedFiles();
+  const groupedFiles = useMemo(getGroupedFiles, [getGroupedFiles]);
 
-  const renderFileItem = (file) => (
-    <Box
-      key={file.id}
-      sx={{
-        backgroundColor: 'rgba(142, 84, 247, 0.1)',
-        border: '1px solid',
-        borderColor: 'rgba(142, 84, 247, 0.3)',
-        borderRadius: 2,
-        mb: 1,
-        p: 2,
-        cursor: 'pointer',
-        '&:hover': {
-          backgroundColor: 'rgba(142, 84, 247, 0.2)',
-          borderColor: 'rgba(142, 84, 247, 0.5)',
-        },
-      }}
-      onClick={() => handleFileClick(file)}
-    >
-      {/* File Info Section */}
-      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
-        <FileText size={20} color="#8E54F7" style={{ marginRight: 12 }} />
-        <Box sx={{ flex: 1, minWidth: 0 }}>
-          <Typography
-            variant="subtitle2"
+  // Group headers and files as one flat list, so only the rows on screen are rendered
+  const listRows = useMemo(() => groupedFiles.flatMap(group => (group.files.length === 0 ? [] : [
+    { type: 'header', key: `group-${group.title}`, title: group.title, count: group.files.length },
+    ...group.files.map(file => ({ type: 'file', key: file.id, file }))
+  ])), [groupedFiles]);
+
+  const getRowKey = useCallback((index) => listRows[index].key, [listRows]);
+  const estimateRowSize = useCallback(
+    (index) => (listRows[index].type === 'header' ? ESTIMATED_HEADER_ROW_HEIGHT : ESTIMATED_FILE_ROW_HEIGHT),
+    [listRows]
+  );
+  const { rows: virtualRows, totalSize, measureRow } = useVirtualList({
+    scrollRef,
+    listRef,
+    count: listRows.length,
+    getKey: getRowKey,
+    estimateSize: estimateRowSize
+  });
+
+  // Fetch the next page as the end of the list comes into view (or straight away while filters hide everything loaded)
+  const lastRenderedIndex = virtualRows.length > 0 ? virtualRows[virtualRows.length - 1].index : -1;
+  useEffect(() => {
+    if (isOpen && nextPage && !loadingMore && !loadMoreError && lastRenderedIndex >= listRows.length - LOAD_MORE_THRESHOLD) {
+      loadMoreFiles();
+    }
+  }, [isOpen, nextPage, loadingMore, loadMoreError, lastRenderedIndex, listRows.length, loadMoreFiles]);
+  const allVisibleSelected = visibleFiles.length > 0 && visibleFiles.every(file => selectedIds.has(file.id));
+
+  const renderFileItem = (file) => {
+    const deleteError = failedDeletes.find(failure => failure.file.id === file.id)?.error;
+    return (
+      <Box
+        key={file.id}
+        sx={{
+          backgroundColor: 'rgba(142, 84, 247, 0.1)',
+          border: '1px solid',
+          borderColor: deleteError ? 'rgba(239, 68, 68, 0.6)' : 'rgba(142, 84, 247, 0.3)',
+          borderRadius: 2,
+          p: 2,
+          cursor: 'pointer',
+          '&:hover': {
+            backgroundColor: 'rgba(142, 84, 247, 0.2)',
+            borderColor: 'rgba(142, 84, 247, 0.5)',
+          },
+        }}
+        onClick={() => handleFileClick(file)}
+      >
+        {/* File Info Section */}
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
+          <input
+            type="checkbox"
+            checked={selectedIds.has(file.id)}
+            onChange={() => toggleSelected(file.id)}
+            onClick={(e) => e.stopPropagation()}
+            title="Select for merging or ZIP download"
+            style={{ marginRight: 10, accentColor: '#8E54F7', cursor: 'pointer' }}
+          />
+          <FileText size={20} color="#8E54F7" style={{ marginRight: 12 }} />
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Typography
+              variant="subtitle2"
+              sx={{
+                fontWeight: 500,
+                color: '#fff',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              {file.filename}
+            </Typography>
+            <Typography
+              variant="caption"
+              sx={{ color: 'rgba(255,255,255,0.7)' }}
+            >
+              Size: {file.formattedSize}
+            </Typography>
+            {deleteError && (
+              <Typography variant="caption" sx={{ display: 'block', color: '#EF4444' }}>
+                Delete failed: {deleteError}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+
+        {/* Action Buttons Section */}
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+          {onCompare && (
+            <IconButton
+              size="small"
+              onClick={(e) => {
+                e.stopPropagation();
+                onCompare(file);
+              }}
+              sx={{
+                color: '#8E54F7',
+                backgroundColor: 'rgba(142, 84, 247, 0.1)',
+                '&:hover': {
+                  backgroundColor: 'rgba(142, 84, 247, 0.2)',
+                }
+              }}
+              title="Compare the current result with this file"
+            >
+              <GitCompare size={16} />
+            </IconButton>
+          )}
+          <IconButton
+            size="small"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleDownload(file);
+            }}
             sx={{
-              fontWeight: 500,
-              color: '#fff',
-              overflow: 'hidden',
-              textOverflow: 'ellipsis',
-              whiteSpace: 'nowrap'
+              color: '#8E54F7',
+              backgroundColor: 'rgba(142, 84, 247, 0.1)',
+              '&:hover': {
+                backgroundColor: 'rgba(142, 84, 247, 0.2)',
+              }
             }}
+            title="Download"
           >
-            {file.filename}
-          </Typography>
-          <Typography
-            variant="caption"
-            sx={{ color: 'rgba(255,255,255,0.7)' }}
+            <Download size={16} />
+          </IconButton>
+          <IconButton
+            size="small"
+            onClick={(e) => {
+              e.stopPropagation();
+              handleDelete(file);
+            }}
+            disabled={deletingFiles.has(file.id)}
+            sx={{
+              color: '#EF4444',
+              backgroundColor: 'rgba(239, 68, 68, 0.1)',
+              '&:hover': {
+                backgroundColor: 'rgba(239, 68, 68, 0.2)',
+              }
+            }}
+            title="Delete File"
           >
-            Size: {file.formattedSize}
-          </Typography>
+            {deletingFiles.has(file.id) ? (
+              <CircularProgress size={16} />
+            ) : (
+              <Trash2 size={16} />
+            )}
+          </IconButton>
         </Box>
       </Box>
-
-      {/* Action Buttons Section */}
-      <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
-        <IconButton
-          size="small"
-          onClick={(e) => {
-            e.stopPropagation();
-            handleDownload(file);
-          }}
-          sx={{
-            color: '#8E54F7',
-            backgroundColor: 'rgba(142, 84, 247, 0.1)',
-            '&:hover': {
-              backgroundColor: 'rgba(142, 84, 247, 0.2)',
-            }
-          }}
-          title="Download"
-        >
-          <Download size={16} />
-        </IconButton>
-        <IconButton
-          size="small"
-          onClick={(e) => {
-            e.stopPropagation();
-            handleDelete(file);
-          }}
-          disabled={deletingFiles.has(file.id)}
-          sx={{
-            color: '#EF4444',
-            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-            '&:hover': {
-              backgroundColor: 'rgba(239, 68, 68, 0.2)',
-            }
-          }}
-          title="Delete File"
-        >
-          {deletingFiles.has(file.id) ? (
-            <CircularProgress size={16} />
-          ) : (
-            <Trash2 size={16} />
-          )}
-        </IconButton>
-      </Box>
-    </Box>
-  );
-
-  const renderGroup = (title, files) => {
-    if (files.length === 0) return null;
-    return (
-      <Box sx={{ mb: 3 }}>
-        <Typography
-          variant="caption"
-          sx={{
-            color: 'rgba(255,255,255,0.5)',
-            textTransform: 'uppercase',
-            fontWeight: 600,
-            letterSpacing: 1,
-            mb: 1.5,
-            display: 'block',
-            pl: 1
-          }}
-        >
-          {title}
-        </Typography>
-        {files.map(renderFileItem)}
-      </Box>
     );
   };
 
+  const renderGroupHeader = (row) => (
+    <Typography
+      variant="caption"
+      sx={{
+        color: 'rgba(255,255,255,0.5)',
+        textTransform: 'uppercase',
+        fontWeight: 600,
+        letterSpacing: 1,
+        display: 'block',
+        pl: 1
+      }}
+    >
+      {row.title} · {row.count}
+    </Typography>
+  );
+
   // Load files only when sidebar is opened for the first time
+  // The sidebar stays mounted while closed, so loaded pages and the scroll position are still there on reopening
   useEffect(() => {
     if (isOpen && !hasLoadedOnce) {
       fetchFiles();
     }
   }, [isOpen, hasLoadedOnce, fetchFiles]);
 
-  // Removed auto-refresh functionality for better performance
+  // Apply a change pushed by the server; stats come along with it when the server knows them
+  const handleFileEvent = useCallback((event) => {
+    if (event.type === 'file_created' && event.file?.id) {
+      setFiles(prev => (prev.some(file => file.id === event.file.id) ? prev : [event.file, ...prev]));
+    } else if (event.type === 'file_deleted' && event.fileId) {
+      setFiles(prev => prev.filter(file => file.id !== event.fileId));
+      setSelectedIds(prev => new Set([...prev].filter(id => id !== event.fileId)));
+      setFailedDeletes(prev => prev.filter(failure => failure.file.id !== event.fileId));
+    }
+
+    if (event.totalFiles !== undefined || event.formattedTotalSize !== undefined) {
+      setStats(prev => ({
+        totalFiles: event.totalFiles ?? prev.totalFiles,
+        formattedTotalSize: event.formattedTotalSize ?? prev.formattedTotalSize
+      }));
+    }
+  }, []);
+
+  // Catch up from the newest page without disturbing pages scrolled in further down
+  const syncLatestFiles = useCallback(async () => {
+    const requestId = filesRequestRef.current;
+    try {
+      const page = await getFilesPage({}, { limit: FILES_PAGE_SIZE });
+      if (requestId !== filesRequestRef.current) return;
+
+      if (!page.next) {
+        // Everything fits in one page, so this also drops files deleted elsewhere
+        setFiles(page.files);
+        setNextPage(null);
+      } else {
+        setFiles(prev => {
+          const loadedIds = new Set(prev.map(file => file.id));
+          const added = page.files.filter(file => !loadedIds.has(file.id));
+          return added.length > 0 ? [...added, ...prev] : prev;
+        });
+      }
+      setStats({
+        totalFiles: page.totalFiles,
+        formattedTotalSize: page.formattedTotalSize
+      });
+    } catch (err) {
+      console.warn('Failed to check for new files:', err);
+    }
+  }, []);
+
+  useFileEvents({
+    enabled: isOpen && hasLoadedOnce,
+    onEvent: handleFileEvent,
+    onResync: syncLatestFiles
+  });
 
   return (
     <>
@@ -409,7 +769,7 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
           <Box sx={{ fontSize: 14, opacity: 0.9 }}>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
               <span>Total Files:</span>
-              <span style={{ fontWeight: 600 }}>{stats.totalFiles}</span>
+              <span style={{ fontWeight: 600 }}>{Math.max(0, stats.totalFiles - pendingIds.size)}</span>
             </Box>
             <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
               <span>Total Size:</span>
@@ -418,13 +778,98 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
           </Box>
         </Box>
 
+        {/* Search, filter and sort */}
+        {liveFiles.length > 0 && (
+          <Box sx={{ p: 1, px: 2, borderBottom: 1, borderColor: 'rgba(142, 84, 247, 0.3)' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Box sx={{ flex: 1, display: 'flex', alignItems: 'center', gap: 0.5, ...filterControlStyle, px: 1 }}>
+                <Search size={14} color="rgba(255,255,255,0.5)" style={{ minWidth: 14 }} />
+                <input
+                  type="text"
+                  value={filters.query}
+                  onChange={(e) => updateFilters({ query: e.target.value })}
+                  placeholder="Search files"
+                  style={{ background: 'transparent', border: 'none', color: '#fff', fontSize: 12, outline: 'none', width: '100%', minWidth: 0 }}
+                />
+                {filters.query && (
+                  <IconButton size="small" onClick={() => updateFilters({ query: '' })} sx={{ p: 0, color: 'rgba(255,255,255,0.5)' }} title="Clear search">
+                    <X size={12} />
+                  </IconButton>
+                )}
+              </Box>
+              <IconButton
+                size="small"
+                onClick={() => setFiltersOpen(prev => !prev)}
+                sx={{ color: filtersOpen || hasActiveFilters({ ...filters, query: '' }) ? '#8E54F7' : 'rgba(255,255,255,0.6)' }}
+                title="Filter and sort"
+              >
+                <SlidersHorizontal size={14} />
+              </IconButton>
+            </Box>
+
+            {filtersOpen && (
+              <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1, mt: 1 }}>
+                <input
+                  type="date"
+                  value={filters.from}
+                  max={filters.to || undefined}
+                  onChange={(e) => updateFilters({ from: e.target.value })}
+                  title="Uploaded from"
+                  style={filterControlStyle}
+                />
+                <input
+                  type="date"
+                  value={filters.to}
+                  min={filters.from || undefined}
+                  onChange={(e) => updateFilters({ to: e.target.value })}
+                  title="Uploaded until"
+                  style={filterControlStyle}
+                />
+                <select value={filters.size} onChange={(e) => updateFilters({ size: e.target.value })} title="File size" style={filterControlStyle}>
+                  {SIZE_FILTERS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <select value={filters.sort} onChange={(e) => updateFilters({ sort: e.target.value })} title="Sort" style={filterControlStyle}>
+                  {FILE_SORTS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </Box>
+            )}
+
+            {hasActiveFilters(filters) && (
+              <Box sx={{ display: 'flex', alignItems: 'center', mt: 0.5 }}>
+                <Typography variant="caption" sx={{ flex: 1, color: 'rgba(255,255,255,0.6)' }}>
+                  {visibleFiles.length} of {liveFiles.length} {nextPage ? 'loaded ' : ''}files
+                </Typography>
+                <Button
+                  size="small"
+                  onClick={() => updateFilters({ ...DEFAULT_FILE_FILTERS, sort: filters.sort })}
+                  sx={{ color: 'rgba(255,255,255,0.6)', textTransform: 'none', minWidth: 'auto', p: 0, fontSize: 12 }}
+                >
+                  Clear filters
+                </Button>
+              </Box>
+            )}
+          </Box>
+        )}
+
         {/* Delete All Button */}
-        {files.length > 0 && (
-          <Box sx={{ p: 1, borderBottom: 1, borderColor: 'rgba(142, 84, 247, 0.3)', display: 'flex', justifyContent: 'flex-end' }}>
+        {liveFiles.length > 0 && (
+          <Box sx={{ p: 1, borderBottom: 1, borderColor: 'rgba(142, 84, 247, 0.3)', display: 'flex', justifyContent: 'space-between' }}>
+            <Button
+              variant="text"
+              onClick={() => setSelectedIds(allVisibleSelected ? new Set() : new Set(visibleFiles.map(file => file.id)))}
+              disabled={visibleFiles.length === 0}
+              sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none', py: 0.5, px: 1, minWidth: 'auto', fontSize: '0.875rem' }}
+            >
+              {allVisibleSelected ? 'Select none' : hasActiveFilters(filters) ? `Select ${visibleFiles.length} shown` : 'Select all'}
+            </Button>
             <Button
               variant="text"
               onClick={handleDeleteAll}
-              disabled={deletingFiles.size > 0}
+              disabled={deletingFiles.size > 0 || visibleFiles.length === 0}
               sx={{
                 color: '#E6E6FA', // Lavender color
                 fontWeight: 500,
@@ -446,13 +891,124 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
                 transition: 'all 0.2s ease',
               }}
             >
-              {deletingFiles.size > 0 ? 'Deleting...' : 'Clear All'}
+              {deletingFiles.size > 0 ? 'Deleting...' : hasActiveFilters(filters) ? `Delete ${visibleFiles.length} shown` : nextPage ? `Delete ${visibleFiles.length} loaded` : 'Clear All'}
+            </Button>
+          </Box>
+        )}
+
+        {/* Bulk delete progress and failures */}
+        {(deleteProgress || failedDeletes.length > 0) && (
+          <Box sx={{ p: 1, px: 2, borderBottom: 1, borderColor: 'rgba(142, 84, 247, 0.3)' }}>
+            {deleteProgress ? (
+              <>
+                <LinearProgress
+                  variant="determinate"
+                  value={(deleteProgress.done / deleteProgress.total) * 100}
+                  sx={{ height: 4, borderRadius: 2, bgcolor: 'rgba(239, 68, 68, 0.15)', '& .MuiLinearProgress-bar': { bgcolor: '#EF4444' } }}
+                />
+                <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.6)' }}>
+                  Deleting {deleteProgress.done} of {deleteProgress.total} files…
+                </Typography>
+              </>
+            ) : (
+              <Alert
+                severity="error"
+                sx={{ py: 0 }}
+                action={
+                  <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+                    <Button color="inherit" size="small" onClick={handleRetryFailedDeletes} sx={{ textTransform: 'none' }}>
+                      Retry failed
+                    </Button>
+                    <Button color="inherit" size="small" onClick={() => setFailedDeletes([])} sx={{ textTransform: 'none', opacity: 0.7 }}>
+                      Dismiss
+                    </Button>
+                  </Box>
+                }
+              >
+                {failedDeletes.length} file{failedDeletes.length === 1 ? '' : 's'} could not be deleted
+              </Alert>
+            )}
+          </Box>
+        )}
+
+        {/* Selection Bar */}
+        {selectedIds.size > 0 && (
+          <Box sx={{ p: 1, px: 2, borderBottom: 1, borderColor: 'rgba(142, 84, 247, 0.3)', display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1 }}>
+            <Typography variant="caption" sx={{ color: '#fff', flex: 1 }}>
+              {selectedIds.size} selected
+            </Typography>
+            <select
+              value={mergeFormat}
+              onChange={(e) => setMergeFormat(e.target.value)}
+              title="Merged file format"
+              style={{ background: '#000', border: '1px solid #333', borderRadius: 6, color: '#fff', fontSize: 12, padding: '2px 4px', colorScheme: 'dark' }}
+            >
+              {MERGE_FORMATS.map(formatId => (
+                <option key={formatId} value={formatId}>{getExportFormat(formatId).label}</option>
+              ))}
+            </select>
+            <Button
+              size="small"
+              onClick={handleMerge}
+              disabled={selectedIds.size < 2 || merging}
+              startIcon={merging ? <CircularProgress size={14} color="inherit" /> : <Combine size={14} />}
+              sx={{ color: '#8E54F7', textTransform: 'none', minWidth: 'auto', '&:disabled': { color: 'rgba(142, 84, 247, 0.4)' } }}
+              title={selectedIds.size < 2 ? 'Select at least two files' : 'Merge into one file'}
+            >
+              Merge
             </Button>
+            <IconButton
+              size="small"
+              onClick={handleDeleteSelected}
+              disabled={deletingFiles.size > 0}
+              sx={{ color: '#EF4444', '&:disabled': { color: 'rgba(239, 68, 68, 0.4)' } }}
+              title="Delete selected"
+            >
+              <Trash2 size={14} />
+            </IconButton>
+            <IconButton size="small" onClick={() => setSelectedIds(new Set())} sx={{ color: 'rgba(255,255,255,0.6)' }} title="Clear selection">
+              <X size={14} />
+            </IconButton>
+            <Box sx={{ flexBasis: '100%', display: 'flex', alignItems: 'center', gap: 1 }}>
+              <label style={{ flex: 1, display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: 'rgba(255,255,255,0.7)', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={includeManifest}
+                  onChange={(e) => setIncludeManifest(e.target.checked)}
+                  style={{ accentColor: '#8E54F7' }}
+                />
+                Include {MANIFEST_NAME}
+              </label>
+              <Button
+                size="small"
+                onClick={handleZipDownload}
+                disabled={Boolean(zipProgress)}
+                startIcon={zipProgress ? <CircularProgress size={14} color="inherit" /> : <FileArchive size={14} />}
+                sx={{ color: '#8E54F7', textTransform: 'none', minWidth: 'auto', '&:disabled': { color: 'rgba(142, 84, 247, 0.4)' } }}
+                title="Download selected as ZIP"
+              >
+                Download ZIP
+              </Button>
+            </Box>
+            {zipProgress && (
+              <Box sx={{ flexBasis: '100%' }}>
+                <LinearProgress
+                  variant="determinate"
+                  value={(zipProgress.done / zipProgress.total) * 100}
+                  sx={{ height: 4, borderRadius: 2, bgcolor: 'rgba(142, 84, 247, 0.15)', '& .MuiLinearProgress-bar': { bgcolor: '#8E54F7' } }}
+                />
+                <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.6)' }}>
+                  {zipProgress.label === 'Fetching'
+                    ? `Fetching ${zipProgress.done} of ${zipProgress.total} files…`
+                    : `Compressing ${zipProgress.done}%…`}
+                </Typography>
+              </Box>
+            )}
           </Box>
         )}
 
         {/* Content */}
-        <Box sx={{
+        <Box ref={scrollRef} sx={{
           flex: 1,
           overflow: 'auto',
           p: 2,
@@ -490,7 +1046,7 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
             </Alert>
           )}
 
-          {!loading && !error && files.length === 0 && (
+          {!loading && !error && liveFiles.length === 0 && (
             <Box sx={{ textAlign: 'center', py: 4 }}>
               <FileText size={64} style={{ opacity: 0.3, marginBottom: 16, color: '#8E54F7' }} />
               <Typography variant="h6" sx={{ mb: 1, fontWeight: 500, color: '#fff' }}>
@@ -502,19 +1058,63 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
             </Box>
           )}
 
-          {Object.values(groupedFiles).every(g => g.length === 0) && files.length > 0 && (
-            // Fallback if grouping fails logic but files exist, though shouldn't happen
-            <List sx={{ p: 0 }}>
-              {files.map(renderFileItem)}
-            </List>
+          {!loading && liveFiles.length > 0 && visibleFiles.length === 0 && (
+            <Box sx={{ textAlign: 'center', py: 4 }}>
+              <Search size={40} style={{ opacity: 0.3, marginBottom: 12, color: '#8E54F7' }} />
+              <Typography variant="body2" sx={{ color: 'rgba(255,255,255,0.7)', mb: 1 }}>
+                No files match these filters
+              </Typography>
+              <Button size="small" onClick={() => updateFilters({ ...DEFAULT_FILE_FILTERS, sort: filters.sort })} sx={{ color: '#8E54F7', textTransform: 'none' }}>
+                Clear filters
+              </Button>
+            </Box>
           )}
 
-          <Box sx={{ p: 0 }}>
-            {renderGroup('Today', groupedFiles.today)}
-            {renderGroup('Yesterday', groupedFiles.yesterday)}
-            {renderGroup('Previous 7 Days', groupedFiles.lastWeek)}
-            {renderGroup('Older', groupedFiles.older)}
+          <Box ref={listRef} sx={{ position: 'relative', height: totalSize }}>
+            {virtualRows.map(({ index, key, start }) => {
+              const row = listRows[index];
+              const isHeader = row.type === 'header';
+              return (
+                <Box
+                  key={key}
+                  ref={measureRow}
+                  data-key={key}
+                  sx={{
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    right: 0,
+                    transform: `translateY(${start}px)`,
+                    pt: isHeader && index > 0 ? 2 : 0,
+                    pb: isHeader ? 1.5 : 1
+                  }}
+                >
+                  {isHeader ? renderGroupHeader(row) : renderFileItem(row.file)}
+                </Box>
+              );
+            })}
           </Box>
+
+          {loadingMore && (
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1, py: 2 }}>
+              <CircularProgress size={16} sx={{ color: '#8E54F7' }} />
+              <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.6)' }}>Loading more files…</Typography>
+            </Box>
+          )}
+
+          {loadMoreError && !loadingMore && (
+            <Alert
+              severity="warning"
+              sx={{ mt: 1 }}
+              action={
+                <Button color="inherit" size="small" onClick={loadMoreFiles} sx={{ textTransform: 'none' }}>
+                  Retry
+                </Button>
+              }
+            >
+              {loadMoreError}
+            </Alert>
+          )}
         </Box>
 
         {/* Footer */}
@@ -523,7 +1123,7 @@ const Sidebar = ({ isOpen, onToggle, onFileSelect }) => {
             Files are stored in MongoDB GridFS
           </Typography>
           <Typography variant="caption" sx={{ color: 'rgba(255,255,255,0.7)', textAlign: 'center', display: 'block', mt: 0.5 }}>
-            Click refresh to update files
+            New conversions appear automatically
           </Typography>
         </Box>
       </Box>
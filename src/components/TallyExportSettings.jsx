@@ -0,0 +1,96 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+
+const inputStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 14,
+  padding: '6px 10px',
+  outline: 'none',
+  width: '100%',
+  boxSizing: 'border-box',
+  colorScheme: 'dark'
+};
+
+const labelSx = { fontSize: 12, color: 'rgba(255,255,255,0.6)', mb: 0.5 };
+
+const Field = ({ label, children }) => (
+  <Box>
+    <Typography sx={labelSx}>{label}</Typography>
+    {children}
+  </Box>
+);
+
+/**
+ * Voucher options for the Tally XML export
+ */
+const TallyExportSettings = ({ settings, onChange }) => {
+  const update = (key) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    onChange({ ...settings, [key]: value });
+  };
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 3 }}
+    >
+      <Typography sx={{ fontWeight: 600, color: '#fff', mb: 1.5, fontSize: 14 }}>
+        Tally purchase voucher
+      </Typography>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 1.5 }}>
+        <Field label="Party ledger (supplier) *">
+          <input
+            type="text"
+            value={settings.partyLedger}
+            onChange={update('partyLedger')}
+            placeholder="e.g. Sharma Pharma Distributors"
+            style={{ ...inputStyle, borderColor: settings.partyLedger.trim() ? '#333' : '#EF4444' }}
+          />
+        </Field>
+        <Field label="Purchase ledger">
+          <input type="text" value={settings.purchaseLedger} onChange={update('purchaseLedger')} style={inputStyle} />
+        </Field>
+        <Field label="Supplier invoice no.">
+          <input type="text" value={settings.voucherNumber} onChange={update('voucherNumber')} style={inputStyle} />
+        </Field>
+        <Field label="Invoice date">
+          <input type="date" value={settings.voucherDate} onChange={update('voucherDate')} style={inputStyle} />
+        </Field>
+        {settings.interState ? (
+          <Field label="IGST ledger ({rate} = slab %)">
+            <input type="text" value={settings.igstLedger} onChange={update('igstLedger')} style={inputStyle} />
+          </Field>
+        ) : (
+          <>
+            <Field label="CGST ledger ({rate} = half slab %)">
+              <input type="text" value={settings.cgstLedger} onChange={update('cgstLedger')} style={inputStyle} />
+            </Field>
+            <Field label="SGST ledger ({rate} = half slab %)">
+              <input type="text" value={settings.sgstLedger} onChange={update('sgstLedger')} style={inputStyle} />
+            </Field>
+          </>
+        )}
+        <Field label="Company (optional)">
+          <input type="text" value={settings.companyName} onChange={update('companyName')} style={inputStyle} />
+        </Field>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 3, mt: 1.5, flexWrap: 'wrap', fontSize: 13, color: 'rgba(255,255,255,0.8)' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+          <input type="checkbox" checked={settings.interState} onChange={update('interState')} />
+          Inter-state purchase (IGST)
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer' }}>
+          <input type="checkbox" checked={settings.includeStockItems} onChange={update('includeStockItems')} />
+          Also create stock items (with HSN)
+        </label>
+      </Box>
+    </Box>
+  );
+};
+
+export default TallyExportSettings;
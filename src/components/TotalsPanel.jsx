@@ -0,0 +1,134 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { AlertTriangle, CheckCircle2 } from 'lucide-react';
+import { reconcileTotal } from '../utils/totals';
+
+const inputStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 13,
+  padding: '4px 8px',
+  outline: 'none',
+  width: 120,
+  textAlign: 'right',
+  colorScheme: 'dark'
+};
+
+const cellStyle = { padding: '3px 8px', textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+
+const formatMoney = (value) => value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const Stat = ({ label, value }) => (
+  <Box>
+    <Typography sx={{ fontSize: 11, color: 'rgba(255,255,255,0.5)' }}>{label}</Typography>
+    <Typography sx={{ fontSize: 15, color: '#fff', fontVariantNumeric: 'tabular-nums' }}>{value}</Typography>
+  </Box>
+);
+
+const PrintedTotal = ({ label, computed, value, onChange }) => {
+  const result = reconcileTotal(computed, value);
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+      <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.6)', minWidth: 140 }}>{label}</Typography>
+      <input
+        type="text"
+        inputMode="decimal"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={formatMoney(computed)}
+        style={{ ...inputStyle, borderColor: result && !result.matches ? '#EF4444' : '#333' }}
+      />
+      {result && (result.matches ? (
+        <Typography sx={{ display: 'flex', alignItems: 'center', gap: 0.5, fontSize: 12, color: '#4ADE80' }}>
+          <CheckCircle2 size={14} /> Matches
+        </Typography>
+      ) : (
+        <Typography sx={{ display: 'flex', alignItems: 'center', gap: 0.5, fontSize: 12, color: '#EF4444' }}>
+          <AlertTriangle size={14} /> Off by {formatMoney(result.difference)}, a row may be missing
+        </Typography>
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * Sums of the converted invoice, per-slab GST and a check against the printed totals
+ */
+const TotalsPanel = ({ summary, interState, onInterStateChange, printedTotals, onPrintedTotalsChange }) => {
+  const updatePrinted = (key) => (value) => onPrintedTotalsChange({ ...printedTotals, [key]: value });
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{ width: '100%', textAlign: 'left', bgcolor: '#111', border: '1px solid #333', borderRadius: 2, p: 2, mb: 2 }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 1.5 }}>
+        <Typography sx={{ flex: 1, fontWeight: 600, color: '#fff', fontSize: 14 }}>
+          Invoice totals
+        </Typography>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer', fontSize: 13, color: 'rgba(255,255,255,0.8)' }}>
+          <input type="checkbox" checked={interState} onChange={(e) => onInterStateChange(e.target.checked)} />
+          Inter-state (IGST)
+        </label>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', mb: 2 }}>
+        <Stat label="Line items" value={summary.lineCount} />
+        <Stat label="Total QTY" value={summary.qty} />
+        <Stat label="Total FREE" value={summary.free} />
+        <Stat label="Sum of AMOUNT" value={formatMoney(summary.amountTotal)} />
+        <Stat label="Taxable value" value={formatMoney(summary.taxable)} />
+        <Stat label="GST" value={formatMoney(summary.tax)} />
+        <Stat label="Grand total" value={formatMoney(summary.grandTotal)} />
+      </Box>
+
+      {summary.slabs.length > 0 && (
+        <Box sx={{ overflowX: 'auto', mb: 2 }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: 12, color: 'rgba(255,255,255,0.8)', minWidth: 360 }}>
+            <thead>
+              <tr style={{ color: 'rgba(255,255,255,0.5)' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>GST slab</th>
+                <th style={cellStyle}>Taxable value</th>
+                {interState ? (
+                  <th style={cellStyle}>IGST</th>
+                ) : (
+                  <>
+                    <th style={cellStyle}>CGST</th>
+                    <th style={cellStyle}>SGST</th>
+                  </>
+                )}
+                <th style={cellStyle}>Total tax</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.slabs.map(slab => (
+                <tr key={slab.gstRate} style={{ borderTop: '1px solid #222' }}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{slab.gstRate}%</td>
+                  <td style={cellStyle}>{formatMoney(slab.taxable)}</td>
+                  {interState ? (
+                    <td style={cellStyle}>{formatMoney(slab.igst)}</td>
+                  ) : (
+                    <>
+                      <td style={cellStyle}>{formatMoney(slab.cgst)}</td>
+                      <td style={cellStyle}>{formatMoney(slab.sgst)}</td>
+                    </>
+                  )}
+                  <td style={cellStyle}>{formatMoney(slab.tax)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Box>
+      )}
+
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+        <PrintedTotal label="Printed taxable value" computed={summary.taxable} value={printedTotals.taxable} onChange={updatePrinted('taxable')} />
+        <PrintedTotal label="Printed grand total" computed={summary.grandTotal} value={printedTotals.grandTotal} onChange={updatePrinted('grandTotal')} />
+      </Box>
+    </Box>
+  );
+};
+
+export default TotalsPanel;
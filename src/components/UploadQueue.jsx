@@ -0,0 +1,117 @@
+import React from 'react';
+import { Box, Button, Typography, IconButton, LinearProgress } from '@mui/material';
+import { FileText, RotateCcw, X, Check, AlertCircle, Eye } from 'lucide-react';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  uploading: 'Uploading...',
+  processing: 'Converting...',
+  done: 'Converted',
+  error: 'Failed'
+};
+
+const STATUS_COLORS = {
+  queued: 'rgba(255,255,255,0.5)',
+  uploading: '#2579E3',
+  processing: '#8E54F7',
+  done: '#22C55E',
+  error: '#EF4444'
+};
+
+const UploadQueue = ({ items, summary, onRetry, onRetryFailed, onRemove, onClearFinished, onOpen }) => {
+  if (items.length === 0) return null;
+
+  const finishedCount = items.filter(item => item.status === 'done' || item.status === 'error').length;
+
+  return (
+    <Box sx={{ mt: 4, border: '1px solid #8E54F7', borderRadius: 2, overflow: 'hidden' }}>
+      {/* Queue Header */}
+      <Box sx={{ p: 2, display: 'flex', alignItems: 'center', justifyContent: 'space-between', borderBottom: '1px solid rgba(142, 84, 247, 0.3)' }}>
+        <Typography sx={{ fontWeight: 600, color: '#fff' }}>
+          Batch queue ({finishedCount}/{items.length})
+        </Typography>
+        <Button
+          size="small"
+          onClick={onClearFinished}
+          sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none', '&:hover': { color: '#fff' } }}
+        >
+          Clear finished
+        </Button>
+      </Box>
+
+      <LinearProgress
+        variant="determinate"
+        value={(finishedCount / items.length) * 100}
+        sx={{ height: 3, bgcolor: 'rgba(142, 84, 247, 0.15)', '& .MuiLinearProgress-bar': { bgcolor: '#8E54F7' } }}
+      />
+
+      {/* Batch Summary */}
+      {summary && (
+        <Box sx={{ p: 2, display: 'flex', alignItems: 'center', gap: 2, bgcolor: 'rgba(142, 84, 247, 0.1)', borderBottom: '1px solid rgba(142, 84, 247, 0.3)' }}>
+          <Typography sx={{ flex: 1, fontSize: 14, color: '#fff' }}>
+            Batch complete: <strong style={{ color: '#22C55E' }}>{summary.succeeded} succeeded</strong>
+            {', '}
+            <strong style={{ color: summary.failed > 0 ? '#EF4444' : 'rgba(255,255,255,0.7)' }}>{summary.failed} failed</strong>
+          </Typography>
+          {summary.failed > 0 && (
+            <Button
+              size="small"
+              onClick={onRetryFailed}
+              startIcon={<RotateCcw size={14} />}
+              sx={{ color: '#8E54F7', textTransform: 'none' }}
+            >
+              Retry failed
+            </Button>
+          )}
+        </Box>
+      )}
+
+      {/* Queue Items */}
+      <Box sx={{ maxHeight: 320, overflowY: 'auto' }}>
+        {items.map(item => (
+          <Box
+            key={item.id}
+            sx={{ display: 'flex', alignItems: 'center', gap: 2, px: 2, py: 1.5, borderBottom: '1px solid rgba(255,255,255,0.05)' }}
+          >
+            <FileText size={20} color="#8E54F7" style={{ minWidth: 20 }} />
+            <Box sx={{ flex: 1, minWidth: 0 }}>
+              <Typography sx={{ fontSize: 14, color: '#fff', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {item.file.name}
+              </Typography>
+              <Typography sx={{ fontSize: 12, color: STATUS_COLORS[item.status], display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                {item.status === 'done' && <Check size={12} />}
+                {item.status === 'error' && <AlertCircle size={12} />}
+                {STATUS_LABELS[item.status]}
+                {item.error && ` — ${item.error}`}
+                <Box component="span" sx={{ color: 'rgba(255,255,255,0.5)', ml: 1 }}>
+                  {(item.file.size / 1024 / 1024).toFixed(2)} MB
+                </Box>
+              </Typography>
+              {(item.status === 'uploading' || item.status === 'processing') && (
+                <LinearProgress
+                  sx={{ mt: 0.5, height: 2, bgcolor: 'rgba(142, 84, 247, 0.15)', '& .MuiLinearProgress-bar': { bgcolor: STATUS_COLORS[item.status] } }}
+                />
+              )}
+            </Box>
+
+            {item.status === 'done' && onOpen && (
+              <IconButton size="small" onClick={() => onOpen(item)} sx={{ color: '#22C55E' }} title="Open result">
+                <Eye size={16} />
+              </IconButton>
+            )}
+            {item.status === 'error' && (
+              <IconButton size="small" onClick={() => onRetry(item.id)} sx={{ color: '#8E54F7' }} title="Retry">
+                <RotateCcw size={16} />
+              </IconButton>
+            )}
+            <IconButton size="small" onClick={() => onRemove(item.id)} sx={{ color: 'rgba(255,255,255,0.5)', '&:hover': { color: '#EF4444' } }} title="Remove">
+              <X size={16} />
+            </IconButton>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default UploadQueue;
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { AlertTriangle, CheckCircle2, Download } from 'lucide-react';
+import { GST_CONVENTIONS } from '../utils/validation';
+
+const MAX_LISTED_ISSUES = 50;
+
+const CHECK_LABELS = {
+  amount: 'Amount mismatch',
+  gst: 'Invalid GST%',
+  hsn: 'Invalid HSN'
+};
+
+const controlStyle = {
+  background: '#000',
+  border: '1px solid #333',
+  borderRadius: 6,
+  color: '#fff',
+  fontSize: 12,
+  padding: '2px 6px',
+  outline: 'none',
+  colorScheme: 'dark'
+};
+
+/**
+ * Counts of failed row checks with the options they were run with
+ */
+const ValidationSummary = ({ validation, options, onOptionsChange, onDownloadReport }) => {
+  const [expanded, setExpanded] = useState(false);
+  const { issues, checkedRows } = validation;
+
+  const counts = issues.reduce((acc, issue) => ({ ...acc, [issue.check]: (acc[issue.check] || 0) + 1 }), {});
+  const hasIssues = issues.length > 0;
+
+  return (
+    <Box
+      onClick={(e) => e.stopPropagation()}
+      sx={{
+        width: '100%',
+        textAlign: 'left',
+        bgcolor: '#111',
+        border: '1px solid',
+        borderColor: hasIssues ? 'rgba(239, 68, 68, 0.5)' : '#333',
+        borderRadius: 2,
+        px: 2,
+        py: 1.5,
+        mb: 1
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        {hasIssues ? <AlertTriangle size={16} color="#EF4444" /> : <CheckCircle2 size={16} color="#4ADE80" />}
+        <Typography sx={{ fontSize: 13, color: '#fff' }}>
+          {hasIssues
+            ? `${issues.length} issue${issues.length === 1 ? '' : 's'} in ${checkedRows} line items`
+            : `All ${checkedRows} line items pass the checks`}
+        </Typography>
+        {Object.entries(counts).map(([check, count]) => (
+          <Typography key={check} sx={{ fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+            · {CHECK_LABELS[check] || check}: {count}
+          </Typography>
+        ))}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, ml: 'auto', fontSize: 12, color: 'rgba(255,255,255,0.6)' }}>
+          <label>
+            Amount is{' '}
+            <select
+              value={options.gstConvention}
+              onChange={(e) => onOptionsChange({ ...options, gstConvention: e.target.value })}
+              style={controlStyle}
+            >
+              {GST_CONVENTIONS.map(convention => (
+                <option key={convention.id} value={convention.id}>{convention.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            ±{' '}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={options.tolerance}
+              onChange={(e) => onOptionsChange({ ...options, tolerance: Math.max(0, Number(e.target.value) || 0) })}
+              style={{ ...controlStyle, width: 60 }}
+            />
+          </label>
+        </Box>
+      </Box>
+
+      {hasIssues && (
+        <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+          <Button size="small" onClick={() => setExpanded(prev => !prev)} sx={{ color: '#8E54F7', textTransform: 'none', px: 0 }}>
+            {expanded ? 'Hide issues' : 'Show issues'}
+          </Button>
+          <Button
+            size="small"
+            onClick={onDownloadReport}
+            startIcon={<Download size={14} />}
+            sx={{ color: 'rgba(255,255,255,0.7)', textTransform: 'none' }}
+          >
+            Download validation report
+          </Button>
+        </Box>
+      )}
+
+      {expanded && (
+        <Box sx={{ maxHeight: 200, overflowY: 'auto', mt: 1 }}>
+          {issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+            <Typography key={index} sx={{ fontSize: 12, color: 'rgba(255,255,255,0.8)', py: 0.25 }}>
+              <Box component="span" sx={{ color: 'rgba(255,255,255,0.4)', mr: 1 }}>Row {issue.row}</Box>
+              {issue.message}
+            </Typography>
+          ))}
+          {issues.length > MAX_LISTED_ISSUES && (
+            <Typography sx={{ fontSize: 12, color: 'rgba(255,255,255,0.5)' }}>
+              …and {issues.length - MAX_LISTED_ISSUES} more in the report
+            </Typography>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ValidationSummary;
@@ -0,0 +1,146 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { loadJSON, saveJSON, removeStored } from '../utils/storage';
+import { normalizeRows } from '../utils/csv';
+
+const MAX_HISTORY = 100;
+
+// `persist` is cleared once edits have been downloaded, without touching the table itself
+const emptyState = (key, rows) => ({ key, rows, past: [], future: [], persist: false });
+
+/**
+ * Hook holding an editable copy of a table with undo/redo
+ * Edits are kept in local storage under storageKey until clearEdits() is called
+ * @param {string[][]} baseRows - Table as loaded from the server (first row is the header)
+ * @param {string|null} storageKey - Local storage key for the edits, or null to disable persistence
+ * @returns {object} Current rows, edit operations and history controls
+ */
+export function useEditableTable(baseRows, storageKey) {
+  const [state, setState] = useState(() => emptyState(null, normalizeRows(baseRows)));
+
+  // Reset to the base table, restoring saved edits made on top of the same base
+  useEffect(() => {
+    const base = normalizeRows(baseRows);
+    // Nothing loaded yet: don't bind to the key, or saved edits would be wiped
+    if (base.length === 0) {
+      setState(emptyState(null, base));
+      return;
+    }
+
+    const stored = storageKey ? loadJSON(storageKey) : null;
+
+    if (stored && Array.isArray(stored.rows) && JSON.stringify(stored.base) === JSON.stringify(base)) {
+      setState({ ...emptyState(storageKey, stored.rows), persist: true });
+    } else {
+      setState(emptyState(storageKey, base));
+    }
+  }, [baseRows, storageKey]);
+
+  // Persist edits; state loaded for another key is never written back
+  useEffect(() => {
+    if (!storageKey || state.key !== storageKey) return;
+
+    if (state.persist) {
+      saveJSON(storageKey, { base: normalizeRows(baseRows), rows: state.rows, savedAt: new Date().toISOString() });
+    } else {
+      removeStored(storageKey);
+    }
+  }, [state, storageKey, baseRows]);
+
+  const apply = useCallback((transform) => {
+    setState(prev => {
+      const rows = transform(prev.rows);
+      if (rows === prev.rows) return prev;
+      return {
+        ...prev,
+        rows,
+        past: [...prev.past, prev.rows].slice(-MAX_HISTORY),
+        future: [],
+        persist: true
+      };
+    });
+  }, []);
+
+  const setCell = useCallback((rowIndex, colIndex, value) => {
+    apply(rows => {
+      if (rows[rowIndex]?.[colIndex] === value) return rows;
+      return rows.map((row, r) => (
+        r === rowIndex ? row.map((cell, c) => (c === colIndex ? value : cell)) : row
+      ));
+    });
+  }, [apply]);
+
+  const insertRow = useCallback((atIndex) => {
+    apply(rows => {
+      const width = rows[0]?.length || 1;
+      const next = [...rows];
+      next.splice(atIndex, 0, Array(width).fill(''));
+      return next;
+    });
+  }, [apply]);
+
+  const deleteRow = useCallback((rowIndex) => {
+    apply(rows => (rows.length <= 1 ? rows : rows.filter((_, r) => r !== rowIndex)));
+  }, [apply]);
+
+  const insertColumn = useCallback((atIndex) => {
+    apply(rows => rows.map((row, r) => {
+      const next = [...row];
+      next.splice(atIndex, 0, r === 0 ? 'NEW COLUMN' : '');
+      return next;
+    }));
+  }, [apply]);
+
+  const deleteColumn = useCallback((colIndex) => {
+    apply(rows => ((rows[0]?.length || 0) <= 1 ? rows : rows.map(row => row.filter((_, c) => c !== colIndex))));
+  }, [apply]);
+
+  const undo = useCallback(() => {
+    setState(prev => {
+      if (prev.past.length === 0) return prev;
+      const rows = prev.past[prev.past.length - 1];
+      return { ...prev, rows, past: prev.past.slice(0, -1), future: [prev.rows, ...prev.future], persist: true };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setState(prev => {
+      if (prev.future.length === 0) return prev;
+      const [rows, ...future] = prev.future;
+      return { ...prev, rows, past: [...prev.past, prev.rows], future, persist: true };
+    });
+  }, []);
+
+  // Discard all edits and go back to the table from the server
+  const resetEdits = useCallback(() => {
+    setState(prev => emptyState(prev.key, normalizeRows(baseRows)));
+  }, [baseRows]);
+
+  // Forget saved edits without touching the current table (e.g. after a download)
+  const clearEdits = useCallback(() => {
+    if (storageKey) {
+      removeStored(storageKey);
+    }
+    setState(prev => ({ ...prev, persist: false }));
+  }, [storageKey]);
+
+  const isEdited = useMemo(
+    () => JSON.stringify(state.rows) !== JSON.stringify(normalizeRows(baseRows)),
+    [state.rows, baseRows]
+  );
+
+  return {
+    rows: state.rows,
+    isEdited,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    setCell,
+    insertRow,
+    deleteRow,
+    insertColumn,
+    deleteColumn,
+    undo,
+    redo,
+    resetEdits,
+    clearEdits
+  };
+}
@@ -0,0 +1,99 @@
+import { useEffect, useRef } from 'react';
+
+const MAX_RETRIES = 5;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Hook to keep the file history live via SSE, polling instead when the stream is unavailable
+ * Messages are JSON: {type: 'file_created', file}, {type: 'file_deleted', fileId} or {type: 'stats'};
+ * any of them may carry the new totalFiles and formattedTotalSize.
+ * @param {object} options
+ * @param {boolean} options.enabled - Whether to listen at all
+ * @param {function} options.onEvent - Called with each parsed message
+ * @param {function} options.onResync - Called after a reconnect, and on every poll once fallen back, to catch up on missed changes
+ * @param {number} options.pollIntervalMs - Time between polls while falling back (default: 60000)
+ */
+export function useFileEvents({ enabled, onEvent, onResync, pollIntervalMs = 60000 }) {
+  const onEventRef = useRef(onEvent);
+  const onResyncRef = useRef(onResync);
+  onEventRef.current = onEvent;
+  onResyncRef.current = onResync;
+  // Survives the stream being closed with the sidebar, so reopening it catches up
+  const hasConnectedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const apiBase = import.meta.env.VITE_API_BASE || 'https://csv-backend-oyvb.onrender.com';
+    let eventSource = null;
+    let retryTimer = null;
+    let pollTimer = null;
+    let attempts = 0;
+    let stopped = false;
+
+    const poll = () => {
+      // Nobody sees a hidden tab; catch up when it is shown again
+      if (document.visibilityState === 'visible') {
+        onResyncRef.current?.();
+      }
+    };
+
+    const startPolling = () => {
+      if (pollTimer) return;
+      console.warn('File events unavailable, polling for changes instead');
+      poll();
+      pollTimer = setInterval(poll, pollIntervalMs);
+    };
+
+    const connectSSE = () => {
+      if (stopped) return;
+
+      eventSource = new EventSource(`${apiBase}/api/events/files`);
+
+      eventSource.onopen = () => {
+        if (hasConnectedRef.current) {
+          onResyncRef.current?.();
+        }
+        hasConnectedRef.current = true;
+        attempts = 0;
+      };
+
+      eventSource.onmessage = (event) => {
+        try {
+          onEventRef.current?.(JSON.parse(event.data));
+        } catch (error) {
+          console.warn('Failed to parse file event:', error);
+        }
+      };
+
+      eventSource.onerror = (error) => {
+        console.warn('File events connection error:', error);
+        eventSource.close();
+        eventSource = null;
+
+        if (attempts >= MAX_RETRIES) {
+          startPolling();
+          return;
+        }
+
+        // Exponential backoff with a little jitter so tabs don't reconnect in lockstep
+        const delay = Math.min(MAX_RETRY_DELAY_MS, 1000 * 2 ** attempts) + Math.random() * 500;
+        attempts++;
+        retryTimer = setTimeout(connectSSE, delay);
+      };
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      connectSSE();
+    }
+
+    return () => {
+      stopped = true;
+      eventSource?.close();
+      clearTimeout(retryTimer);
+      clearInterval(pollTimer);
+    };
+  }, [enabled, pollIntervalMs]);
+}
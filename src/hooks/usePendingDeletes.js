@@ -0,0 +1,97 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { deleteFileOnUnload } from '../api';
+import { loadJSON, saveJSON, removeStored } from '../utils/storage';
+
+const PENDING_DELETES_KEY = 'pdf_csv_pending_deletes';
+
+let nextBatchId = 0;
+
+/**
+ * Hook to delete files after a grace period during which the delete can be undone
+ * Files are hidden straight away; the request goes out when the grace period ends or the page is closed.
+ * Deletes still recorded as pending on the next visit never went out, so those files simply stay.
+ * @param {object} options
+ * @param {number} options.gracePeriodMs - Time to undo before the delete is sent
+ * @param {function} options.onCommit - Called with the files once their grace period is over
+ * @param {function} options.onRestored - Called with the number of files whose delete never went out last time
+ * @returns {{pendingIds: Set<string>, schedule: function, undo: function}}
+ */
+export function usePendingDeletes({ gracePeriodMs = 8000, onCommit, onRestored } = {}) {
+  const [batches, setBatches] = useState([]);
+  const batchesRef = useRef([]);
+  const timersRef = useRef(new Map());
+  const onCommitRef = useRef(onCommit);
+  onCommitRef.current = onCommit;
+  const onRestoredRef = useRef(onRestored);
+  onRestoredRef.current = onRestored;
+
+  const updateBatches = useCallback((update) => {
+    batchesRef.current = update(batchesRef.current);
+    setBatches(batchesRef.current);
+
+    const pending = batchesRef.current.flatMap(batch => batch.files.map(file => ({ id: file.id, filename: file.filename })));
+    if (pending.length > 0) {
+      saveJSON(PENDING_DELETES_KEY, pending);
+    } else {
+      removeStored(PENDING_DELETES_KEY);
+    }
+  }, []);
+
+  const takeBatch = useCallback((batchId) => {
+    const batch = batchesRef.current.find(item => item.id === batchId);
+    if (!batch) return null;
+
+    clearTimeout(timersRef.current.get(batchId));
+    timersRef.current.delete(batchId);
+    updateBatches(prev => prev.filter(item => item.id !== batchId));
+    return batch;
+  }, [updateBatches]);
+
+  const schedule = useCallback((files) => {
+    const batchId = ++nextBatchId;
+    updateBatches(prev => [...prev, { id: batchId, files }]);
+    timersRef.current.set(batchId, setTimeout(() => {
+      const batch = takeBatch(batchId);
+      if (batch) onCommitRef.current?.(batch.files);
+    }, gracePeriodMs));
+    return batchId;
+  }, [gracePeriodMs, takeBatch, updateBatches]);
+
+  const undo = useCallback((batchId) => {
+    takeBatch(batchId);
+  }, [takeBatch]);
+
+  // A previous visit closed before its pending deletes were sent
+  useEffect(() => {
+    const stale = loadJSON(PENDING_DELETES_KEY, []);
+    if (Array.isArray(stale) && stale.length > 0) {
+      removeStored(PENDING_DELETES_KEY);
+      onRestoredRef.current?.(stale.length);
+    }
+  }, []);
+
+  // Closing the page ends every grace period at once
+  useEffect(() => {
+    const timers = timersRef.current;
+    const sendPending = () => {
+      batchesRef.current.forEach(batch => batch.files.forEach(file => deleteFileOnUnload(file.id)));
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      batchesRef.current = [];
+      removeStored(PENDING_DELETES_KEY);
+    };
+
+    window.addEventListener('pagehide', sendPending);
+    return () => {
+      window.removeEventListener('pagehide', sendPending);
+      sendPending();
+    };
+  }, []);
+
+  const pendingIds = useMemo(
+    () => new Set(batches.flatMap(batch => batch.files.map(file => file.id))),
+    [batches]
+  );
+
+  return { pendingIds, schedule, undo };
+}
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { uploadPdf, getJobStatus } from '../api';
+
+const POLL_INTERVAL_MS = 10000;
+const POLL_MAX_ATTEMPTS = 30; // 5 minutes max, same as the single-file flow
+
+const ACTIVE_STATUSES = ['uploading', 'processing'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let nextItemId = 0;
+
+/**
+ * Hook to upload several invoices with limited concurrency
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum number of files converted at once
+ * @param {function} options.onBatchComplete - Called with {succeeded, failed} when the queue drains
+ * @returns {{items: object[], addFiles: function, retry: function, retryFailed: function, remove: function, clearFinished: function, isRunning: boolean, summary: object|null}}
+ */
+export function useUploadQueue({ concurrency = 3, onBatchComplete } = {}) {
+  const [items, setItems] = useState([]);
+  // Each run of an item gets a token; removing or retrying an item invalidates it
+  const runTokensRef = useRef(new Map());
+  const wasRunningRef = useRef(false);
+
+  const updateItem = useCallback((id, token, updates) => {
+    if (runTokensRef.current.get(id) !== token) return false;
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...updates } : item)));
+    return true;
+  }, []);
+
+  const waitForJob = useCallback(async (id, token, jobId) => {
+    for (let attempt = 0; attempt < POLL_MAX_ATTEMPTS; attempt++) {
+      await delay(POLL_INTERVAL_MS);
+      if (runTokensRef.current.get(id) !== token) return null;
+
+      const status = await getJobStatus(jobId);
+      if (status.ready) return status;
+      if (status.status === 'error') {
+        throw new Error(status.error || 'Conversion failed');
+      }
+    }
+    throw new Error('Conversion timeout');
+  }, []);
+
+  const run = useCallback(async (item, token) => {
+    try {
+      const result = await uploadPdf(item.file);
+      if (!result.jobId && !result.downloadUrl) {
+        throw new Error('Invalid response from server');
+      }
+
+      if (!updateItem(item.id, token, { status: 'processing', jobId: result.jobId || null })) return;
+
+      let downloadUrl = result.downloadUrl || null;
+      if (!downloadUrl) {
+        const status = await waitForJob(item.id, token, result.jobId);
+        if (!status) return;
+        downloadUrl = status.downloadUrl || 'ready';
+      }
+
+      updateItem(item.id, token, { status: 'done', downloadUrl });
+    } catch (err) {
+      console.error(`Batch upload failed for ${item.file.name}:`, err);
+      updateItem(item.id, token, { status: 'error', error: err.message || 'Upload failed' });
+    }
+  }, [updateItem, waitForJob]);
+
+  // Start queued items whenever a slot frees up
+  useEffect(() => {
+    const activeCount = items.filter(item => ACTIVE_STATUSES.includes(item.status)).length;
+    const freeSlots = concurrency - activeCount;
+    if (freeSlots <= 0) return;
+
+    const toStart = items.filter(item => item.status === 'queued').slice(0, freeSlots);
+    if (toStart.length === 0) return;
+
+    const startIds = new Set(toStart.map(item => item.id));
+    setItems(prev => prev.map(item => (
+      startIds.has(item.id) ? { ...item, status: 'uploading', error: null } : item
+    )));
+
+    toStart.forEach(item => {
+      const token = (runTokensRef.current.get(item.id) || 0) + 1;
+      runTokensRef.current.set(item.id, token);
+      run(item, token);
+    });
+  }, [items, concurrency, run]);
+
+  const isRunning = items.some(item => item.status === 'queued' || ACTIVE_STATUSES.includes(item.status));
+
+  const summary = useMemo(() => (items.length > 0 && !isRunning
+    ? {
+      succeeded: items.filter(item => item.status === 'done').length,
+      failed: items.filter(item => item.status === 'error').length
+    }
+    : null), [items, isRunning]);
+
+  // Report once per batch, when the queue goes from running to idle
+  useEffect(() => {
+    if (isRunning) {
+      wasRunningRef.current = true;
+    } else if (wasRunningRef.current && summary) {
+      wasRunningRef.current = false;
+      if (onBatchComplete) {
+        onBatchComplete(summary);
+      }
+    }
+  }, [isRunning, summary, onBatchComplete]);
+
+  const addFiles = useCallback((files) => {
+    const newItems = Array.from(files).map(file => ({
+      id: `upload_${++nextItemId}`,
+      file,
+      status: 'queued',
+      jobId: null,
+      downloadUrl: null,
+      error: null
+    }));
+    setItems(prev => [...prev, ...newItems]);
+    return newItems;
+  }, []);
+
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && item.status === 'error'
+        ? { ...item, status: 'queued', error: null, jobId: null, downloadUrl: null }
+        : item
+    )));
+  }, []);
+
+  const retryFailed = useCallback(() => {
+    setItems(prev => prev.map(item => (
+      item.status === 'error'
+        ? { ...item, status: 'queued', error: null, jobId: null, downloadUrl: null }
+        : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    runTokensRef.current.delete(id);
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => {
+      const isFinished = item => item.status === 'done' || item.status === 'error';
+      prev.filter(isFinished).forEach(item => runTokensRef.current.delete(item.id));
+      return prev.filter(item => !isFinished(item));
+    });
+  }, []);
+
+  return { items, addFiles, retry, retryFailed, remove, clearFinished, isRunning, summary };
+}
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+/**
+ * Hook to render only the rows of a long list that are on screen
+ * Rows may differ in height: each is estimated until it has been rendered and measured.
+ * @param {object} options
+ * @param {object} options.scrollRef - Ref to the scrolling element
+ * @param {object} options.listRef - Ref to the element that holds the rows, somewhere inside the scrolling element
+ * @param {number} options.count - Number of rows
+ * @param {function} options.getKey - (index) => stable key of the row
+ * @param {function} options.estimateSize - (index) => expected height in px before the row is measured
+ * @param {number} options.overscan - Extra rows rendered above and below the visible ones (default: 4)
+ * @returns {{rows: Array<{index: number, key: string, start: number}>, totalSize: number, measureRow: function}}
+ */
+export function useVirtualList({ scrollRef, listRef, count, getKey, estimateSize, overscan = 4 }) {
+  const [viewport, setViewport] = useState({ offset: 0, height: 0 });
+  const [sizes, setSizes] = useState(() => new Map());
+  const rowObserverRef = useRef(null);
+
+  // Where the visible area sits relative to the top of the list
+  const measureViewport = useCallback(() => {
+    const scrollElement = scrollRef.current;
+    if (!scrollElement) return;
+
+    const listTop = listRef.current
+      ? listRef.current.getBoundingClientRect().top - scrollElement.getBoundingClientRect().top + scrollElement.scrollTop
+      : 0;
+    const offset = scrollElement.scrollTop - listTop;
+    const height = scrollElement.clientHeight;
+    setViewport(prev => (prev.offset === offset && prev.height === height ? prev : { offset, height }));
+  }, [scrollRef, listRef]);
+
+  useEffect(() => {
+    const scrollElement = scrollRef.current;
+    if (!scrollElement) return;
+
+    scrollElement.addEventListener('scroll', measureViewport, { passive: true });
+    const resizeObserver = new ResizeObserver(measureViewport);
+    resizeObserver.observe(scrollElement);
+    return () => {
+      scrollElement.removeEventListener('scroll', measureViewport);
+      resizeObserver.disconnect();
+    };
+  }, [scrollRef, measureViewport]);
+
+  // Content above the list (alerts, empty states) can move it without any scrolling
+  useLayoutEffect(measureViewport);
+
+  // Rendered rows, by key, so rows that scroll away stop being observed
+  const observedRowsRef = useRef(new Map());
+
+  const getRowObserver = useCallback(() => {
+    if (!rowObserverRef.current) {
+      rowObserverRef.current = new ResizeObserver(entries => {
+        setSizes(prev => {
+          let next = prev;
+          entries.forEach(entry => {
+            const { key } = entry.target.dataset;
+            const height = entry.target.offsetHeight;
+            if (key !== undefined && height > 0 && prev.get(key) !== height) {
+              if (next === prev) next = new Map(prev);
+              next.set(key, height);
+            }
+          });
+          return next;
+        });
+      });
+    }
+    return rowObserverRef.current;
+  }, []);
+
+  useEffect(() => {
+    const observer = getRowObserver();
+    observedRowsRef.current.forEach(element => observer.observe(element));
+    return () => observer.disconnect();
+  }, [getRowObserver]);
+
+  const layout = useMemo(() => {
+    const starts = new Array(count);
+    let total = 0;
+    for (let index = 0; index < count; index++) {
+      starts[index] = total;
+      total += sizes.get(String(getKey(index))) ?? estimateSize(index);
+    }
+    return { starts, total };
+  }, [count, sizes, getKey, estimateSize]);
+
+  const rows = useMemo(() => {
+    if (count === 0) return [];
+    const { starts, total } = layout;
+    const top = Math.max(0, viewport.offset);
+    const bottom = Math.min(total, viewport.offset + viewport.height);
+
+    // Last row starting at or above the top edge
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= top) low = middle;
+      else high = middle - 1;
+    }
+
+    let end = low;
+    while (end < count - 1 && starts[end + 1] < bottom) end++;
+
+    const first = Math.max(0, low - overscan);
+    const last = Math.min(count - 1, end + overscan);
+    const visible = [];
+    for (let index = first; index <= last; index++) {
+      visible.push({ index, key: String(getKey(index)), start: starts[index] });
+    }
+    return visible;
+  }, [count, layout, viewport, overscan, getKey]);
+
+  useEffect(() => {
+    const renderedKeys = new Set(rows.map(row => row.key));
+    observedRowsRef.current.forEach((element, key) => {
+      if (!renderedKeys.has(key)) {
+        rowObserverRef.current?.unobserve(element);
+        observedRowsRef.current.delete(key);
+      }
+    });
+  }, [rows]);
+
+  // Ref callback for a rendered row; the element needs data-key set to the row's key
+  const measureRow = useCallback((element) => {
+    if (!element) return;
+    const { key } = element.dataset;
+    const observed = observedRowsRef.current.get(key);
+    if (observed === element) return;
+
+    const observer = getRowObserver();
+    if (observed) observer.unobserve(observed);
+    observer.observe(element);
+    observedRowsRef.current.set(key, element);
+  }, [getRowObserver]);
+
+  return { rows, totalSize: layout.total, measureRow };
+}
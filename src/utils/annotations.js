@@ -0,0 +1,114 @@
+/**
+ * Detect annotation rows (e.g. ",Lot Rate Charged @ 10+1,,,") and fold them into their line item
+ */
+
+import { findColumns } from './columnMapping';
+
+export const REMARKS_COLUMN = 'REMARKS';
+
+export const ANNOTATION_ACTIONS = [
+  { id: 'fold', label: 'Move to REMARKS of the item above' },
+  { id: 'drop', label: 'Drop row' },
+  { id: 'keep', label: 'Keep as a row' }
+];
+
+// Columns that hold numbers on a real line item
+const NUMERIC_FIELDS = ['qty', 'free', 'mrp', 'ptr', 'rate', 'discount', 'scheme', 'gst', 'amount'];
+
+// Share of the numeric columns that must be blank for a row to count as an annotation
+const EMPTY_NUMERIC_RATIO = 0.75;
+
+const isBlank = (value) => !(value ?? '').trim();
+
+/**
+ * Find rows that annotate the previous line item instead of being one
+ * A row qualifies when it has text, an empty serial number and mostly empty numeric columns
+ * @param {string[][]} rows - Table with the header in the first row
+ * @returns {number[]} Row indices (header is row 0)
+ */
+export function detectAnnotationRows(rows) {
+  const [header = [], ...body] = rows;
+  const columns = findColumns(header);
+  const numericColumns = NUMERIC_FIELDS.map(key => columns[key]).filter(index => index >= 0);
+  // Without a serial number or any numeric column to go by, nothing can be told apart
+  if (columns.serialNo < 0 && numericColumns.length === 0) return [];
+
+  const detected = [];
+  body.forEach((row, bodyIndex) => {
+    if (row.every(isBlank)) return;
+    if (columns.serialNo >= 0 && !isBlank(row[columns.serialNo])) return;
+
+    const emptyNumeric = numericColumns.filter(index => isBlank(row[index])).length;
+    if (numericColumns.length > 0 && emptyNumeric / numericColumns.length < EMPTY_NUMERIC_RATIO) return;
+
+    detected.push(bodyIndex + 1);
+  });
+  return detected;
+}
+
+/**
+ * Text of an annotation row, with the blank cells left out
+ * @param {string[]} row
+ * @returns {string}
+ */
+export function annotationText(row) {
+  return row.map(cell => (cell ?? '').trim()).filter(Boolean).join(' ');
+}
+
+/**
+ * Fold, drop or keep the detected annotation rows
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} options
+ * @param {string} options.defaultAction - One of ANNOTATION_ACTIONS ids
+ * @param {Object<number, string>} options.overrides - Action per row index, overriding the default
+ * @returns {{rows: string[][], annotations: Array<{row: number, text: string, action: string, parentRow: number|null}>}}
+ *   rows is the input array itself when nothing changed
+ */
+export function applyAnnotationHandling(rows, { defaultAction = 'fold', overrides = {} } = {}) {
+  const detected = detectAnnotationRows(rows);
+  if (detected.length === 0) return { rows, annotations: [] };
+
+  const detectedSet = new Set(detected);
+  const annotations = [];
+  const remarks = new Map();
+  let parentRow = null;
+
+  rows.forEach((row, rowIndex) => {
+    if (rowIndex === 0) return;
+    if (!detectedSet.has(rowIndex)) {
+      parentRow = rowIndex;
+      return;
+    }
+
+    const text = annotationText(row);
+    let action = overrides[rowIndex] || defaultAction;
+    // The first row has nothing above it to fold into
+    if (action === 'fold' && parentRow === null) action = 'keep';
+    annotations.push({ row: rowIndex, text, action, parentRow: action === 'fold' ? parentRow : null });
+    if (action === 'fold') {
+      remarks.set(parentRow, [...(remarks.get(parentRow) || []), text]);
+    }
+  });
+
+  const removed = new Set(annotations.filter(annotation => annotation.action !== 'keep').map(annotation => annotation.row));
+  if (removed.size === 0) return { rows, annotations };
+
+  const header = rows[0];
+  let remarksColumn = header.findIndex(cell => (cell || '').trim().toUpperCase() === REMARKS_COLUMN);
+  const addColumn = remarks.size > 0 && remarksColumn < 0;
+  if (addColumn) remarksColumn = header.length;
+
+  const result = rows
+    .map((row, rowIndex) => {
+      if (rowIndex === 0) return addColumn ? [...row, REMARKS_COLUMN] : row;
+      const next = addColumn ? [...row, ''] : row;
+      const notes = remarks.get(rowIndex);
+      if (!notes) return next;
+      const updated = [...next];
+      updated[remarksColumn] = [updated[remarksColumn], ...notes].filter(Boolean).join('; ');
+      return updated;
+    })
+    .filter((_, rowIndex) => !removed.has(rowIndex));
+
+  return { rows: result, annotations };
+}
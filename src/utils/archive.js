@@ -0,0 +1,43 @@
+/**
+ * ZIP archives of converted files, built in the browser
+ */
+
+import { serializeCsv } from './csv';
+
+export const MANIFEST_NAME = 'manifest.csv';
+
+/**
+ * Manifest listing every requested file and whether it made it into the archive
+ * @param {Array<{filename: string, uploadDate: string, size: string, archiveName: string, error: string}>} entries
+ * @returns {string} CSV text
+ */
+export function buildManifest(entries) {
+  return serializeCsv([
+    ['ORIGINAL FILENAME', 'UPLOAD DATE', 'SIZE', 'FILE IN ARCHIVE', 'STATUS'],
+    ...entries.map(entry => [
+      entry.filename,
+      entry.uploadDate,
+      entry.size,
+      entry.archiveName || '',
+      entry.error ? `Failed: ${entry.error}` : 'OK'
+    ])
+  ], { bom: true });
+}
+
+/**
+ * Pack files into a ZIP
+ * @param {Array<{name: string, content: Blob|string}>} files - Names must already be unique
+ * @param {function} onProgress - Called with the percentage compressed so far
+ * @returns {Promise<Blob>}
+ */
+export async function buildZip(files, onProgress) {
+  // jszip is only needed by people who download archives, so load it on demand
+  const { default: JSZip } = await import('jszip');
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.name, file.content));
+
+  return zip.generateAsync(
+    { type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } },
+    (metadata) => onProgress?.(metadata.percent)
+  );
+}
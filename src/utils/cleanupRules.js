@@ -0,0 +1,166 @@
+/**
+ * Cell cleanup rules for OCR artifacts in extracted tables
+ */
+
+import { loadJSON, saveJSON } from './storage';
+import { matchCanonicalField } from './columnMapping';
+
+const CLEANUP_SETTINGS_KEY = 'pdf_csv_cleanup_rules';
+
+const PRICE_FIELDS = ['mrp', 'ptr', 'rate', 'amount'];
+
+// Numbers such as ".50" must keep their leading point
+const isNumeric = (value) => /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value.trim());
+
+// Built-in rules run on body cells in this order; the header row is never touched
+// `fields` limits a rule to columns recognised as those canonical fields (all columns when missing)
+export const BUILT_IN_RULES = [
+  {
+    id: 'stripSymbols',
+    label: 'Strip currency/symbol prefixes',
+    description: 'Prices and product: "# 122.55" → "122.55", "$PAH 20" → "PAH 20"',
+    fields: [...PRICE_FIELDS, 'product'],
+    apply: (value) => value.replace(/^[#$₹€£]+\s*/, '')
+  },
+  {
+    id: 'trimPunctuation',
+    label: 'Trim stray punctuation',
+    description: 'Batch and product: "S2220680." → "S2220680", "IODEX..." → "IODEX"',
+    fields: ['batch', 'product'],
+    apply: (value) => (isNumeric(value) ? value : value.replace(/^[.,;:'"`]+/, '').replace(/[.,;:'"`]+$/, ''))
+  },
+  {
+    id: 'normalizePack',
+    label: 'Normalize pack notation',
+    description: 'Pack: "1 *10", "1 x 10" → "1*10"',
+    fields: ['pack'],
+    apply: (value) => value.replace(/^(\d+)\s*[*xX×]\s*(\d+(?:\s*[a-zA-Z]+)?)$/, '$1*$2')
+  },
+  {
+    id: 'collapseWhitespace',
+    label: 'Collapse repeated spaces',
+    description: '"PARA  500 " → "PARA 500"',
+    apply: (value) => value.replace(/\s+/g, ' ').trim()
+  }
+];
+
+export const DEFAULT_CLEANUP_SETTINGS = {
+  builtIn: Object.fromEntries(BUILT_IN_RULES.map(rule => [rule.id, true])),
+  custom: []
+};
+
+/**
+ * Saved cleanup settings merged over the defaults
+ * @returns {{builtIn: Object<string, boolean>, custom: object[]}}
+ */
+export function loadCleanupSettings() {
+  const stored = loadJSON(CLEANUP_SETTINGS_KEY, {});
+  return {
+    builtIn: { ...DEFAULT_CLEANUP_SETTINGS.builtIn, ...stored.builtIn },
+    custom: Array.isArray(stored.custom) ? stored.custom : []
+  };
+}
+
+/**
+ * Remember cleanup settings for the next results
+ * @param {object} settings
+ */
+export function saveCleanupSettings(settings) {
+  saveJSON(CLEANUP_SETTINGS_KEY, settings);
+}
+
+/**
+ * Create an empty user-defined regex rule
+ * @returns {{id: string, column: string, pattern: string, replacement: string, ignoreCase: boolean, enabled: boolean}}
+ */
+export function createCustomRule() {
+  return {
+    id: `rule_${Date.now()}`,
+    column: '',
+    pattern: '',
+    replacement: '',
+    ignoreCase: false,
+    enabled: true
+  };
+}
+
+/**
+ * Check a user-defined rule's pattern
+ * @param {object} rule - Custom rule
+ * @returns {string|null} Error message, or null when the pattern compiles
+ */
+export function validateCustomRule(rule) {
+  if (!rule.pattern) return null;
+  try {
+    new RegExp(rule.pattern, rule.ignoreCase ? 'gi' : 'g');
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Turn the settings into the list of rules to run
+ * Custom rules without a pattern or with an invalid one are skipped
+ * @param {object} settings - From loadCleanupSettings
+ * @returns {Array<{id: string, label: string, column: string, fields: string[]|null, apply: function}>}
+ */
+function compileRules(settings) {
+  const builtIn = BUILT_IN_RULES
+    .filter(rule => settings.builtIn[rule.id])
+    .map(rule => ({ id: rule.id, label: rule.label, column: '', fields: rule.fields || null, apply: rule.apply }));
+
+  const custom = settings.custom
+    .filter(rule => rule.enabled && rule.pattern && !validateCustomRule(rule))
+    .map(rule => {
+      const regex = new RegExp(rule.pattern, rule.ignoreCase ? 'gi' : 'g');
+      return {
+        id: rule.id,
+        label: `/${rule.pattern}/ → "${rule.replacement}"`,
+        column: rule.column,
+        fields: null,
+        apply: (value) => value.replace(regex, rule.replacement)
+      };
+    });
+
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Run the cleanup rules over a table
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} settings - From loadCleanupSettings
+ * @returns {{rows: string[][], changes: Array<{row: number, col: number, column: string, before: string, after: string, rules: string[]}>}}
+ *   rows is the input array itself when nothing changed
+ */
+export function applyCleanupRules(rows, settings) {
+  const rules = compileRules(settings);
+  if (rules.length === 0 || rows.length <= 1) return { rows, changes: [] };
+
+  const [header, ...body] = rows;
+  const changes = [];
+  const headerFields = header.map(cell => matchCanonicalField(cell)?.key ?? null);
+
+  const cleanedBody = body.map((row, bodyIndex) => {
+    let rowChanged = false;
+    const cleanedRow = row.map((cell, col) => {
+      const before = cell ?? '';
+      const applied = [];
+      const after = rules.reduce((value, rule) => {
+        if (rule.column && rule.column !== header[col]) return value;
+        if (rule.fields && !rule.fields.includes(headerFields[col])) return value;
+        const next = rule.apply(value);
+        if (next !== value) applied.push(rule.label);
+        return next;
+      }, before);
+
+      if (after === before) return cell;
+      rowChanged = true;
+      changes.push({ row: bodyIndex + 1, col, column: header[col] ?? '', before, after, rules: applied });
+      return after;
+    });
+    return rowChanged ? cleanedRow : row;
+  });
+
+  return changes.length > 0 ? { rows: [header, ...cleanedBody], changes } : { rows, changes };
+}
@@ -0,0 +1,199 @@
+/**
+ * Canonical invoice schema and per-supplier column mapping templates
+ */
+
+import { loadJSON, saveJSON } from './storage';
+
+const TEMPLATES_KEY = 'pdf_csv_column_templates';
+
+// Canonical fields in output order; aliases are compared without spaces and punctuation
+export const CANONICAL_FIELDS = [
+  { key: 'serialNo', label: 'S.NO', aliases: ['SNO', 'SRNO', 'SLNO', 'SERIALNO', 'NO'] },
+  { key: 'product', label: 'PRODUCT DESCRIPTION', aliases: ['PRODUCTDESCRIPTION', 'PRODUCT', 'PRODUCTNAME', 'ITEMNAME', 'ITEM', 'DESCRIPTION', 'PARTICULARS'] },
+  { key: 'pack', label: 'PACK', aliases: ['PACK', 'PACKING', 'PACKSIZE'] },
+  { key: 'manufacturer', label: 'MFG', aliases: ['MFG', 'MFR', 'MANUFACTURER', 'COMPANY', 'MAKE'] },
+  { key: 'batch', label: 'BATCH NO', aliases: ['BATCHNO', 'BATCH', 'BATCHNUMBER'] },
+  { key: 'expiry', label: 'EXPIRY', aliases: ['EXPIRY', 'EXP', 'EXPDATE', 'EXPIRYDATE'] },
+  { key: 'hsn', label: 'HSN CODE', aliases: ['HSNCODE', 'HSN', 'HSNSAC'] },
+  { key: 'qty', label: 'QTY', aliases: ['QTY', 'QUANTITY'] },
+  { key: 'free', label: 'FREE', aliases: ['FREE', 'FREEQTY'] },
+  { key: 'mrp', label: 'MRP', aliases: ['MRP'] },
+  { key: 'ptr', label: 'PTR', aliases: ['PTR'] },
+  { key: 'rate', label: 'RATE', aliases: ['RATE', 'PRICE', 'UNITPRICE'] },
+  { key: 'discount', label: 'DISC%', aliases: ['DISC', 'DISCOUNT', 'DISCPERCENT'] },
+  { key: 'scheme', label: 'SCH%', aliases: ['SCH', 'SCHEME', 'SCHPERCENT'] },
+  { key: 'gst', label: 'GST%', aliases: ['GST', 'GSTPERCENT', 'GSTRATE', 'TAX', 'TAXPERCENT'] },
+  { key: 'amount', label: 'AMOUNT', aliases: ['AMOUNT', 'AMT', 'VALUE', 'TAXABLEVALUE', 'NETAMOUNT'] }
+];
+
+/**
+ * Normalize a header for comparison: upper case, letters and digits only
+ * @param {string} cell - Header cell
+ * @returns {string}
+ */
+export function compactHeader(cell) {
+  return (cell || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Find the canonical field a header belongs to
+ * @param {string} cell - Header cell
+ * @returns {object|null} Entry of CANONICAL_FIELDS
+ */
+export function matchCanonicalField(cell) {
+  const compact = compactHeader(cell);
+  if (!compact) return null;
+  return CANONICAL_FIELDS.find(field => compactHeader(field.label) === compact || field.aliases.includes(compact)) || null;
+}
+
+/**
+ * Key used to line up columns of different files: the canonical field when the header
+ * is recognised, so "M.R.P." and "MRP" count as the same column
+ * @param {string} cell - Header cell
+ * @returns {string}
+ */
+export function columnKey(cell) {
+  const field = matchCanonicalField(cell);
+  return field ? `field:${field.key}` : `name:${(cell || '').trim().toUpperCase()}`;
+}
+
+/**
+ * Index of the column holding a canonical field
+ * @param {string[]} header - Header row
+ * @param {string} fieldKey - Key from CANONICAL_FIELDS
+ * @returns {number} Column index or -1
+ */
+export function findColumn(header, fieldKey) {
+  return header.findIndex(cell => matchCanonicalField(cell)?.key === fieldKey);
+}
+
+/**
+ * Column index for every canonical field
+ * @param {string[]} header - Header row
+ * @returns {Object<string, number>} Field key to column index (-1 when missing)
+ */
+export function findColumns(header) {
+  return Object.fromEntries(CANONICAL_FIELDS.map(field => [field.key, findColumn(header, field.key)]));
+}
+
+/**
+ * Signature used to recognise the same supplier layout again
+ * @param {string[]} header - Header row
+ * @returns {string}
+ */
+export function headerSignature(header) {
+  return header.map(compactHeader).join('|');
+}
+
+/**
+ * Guess a mapping from header names
+ * Each entry is {action: 'field', field} | {action: 'rename', name} | {action: 'keep'} | {action: 'drop'}
+ * @param {string[]} header - Header row
+ * @returns {object[]} One entry per source column
+ */
+export function suggestMapping(header) {
+  const used = new Set();
+  return header.map(cell => {
+    const field = matchCanonicalField(cell);
+    if (field && !used.has(field.key)) {
+      used.add(field.key);
+      return { action: 'field', field: field.key };
+    }
+    return { action: 'keep' };
+  });
+}
+
+/**
+ * Output header name for one mapping entry
+ * @param {object} entry - Mapping entry
+ * @param {string} sourceName - Original header
+ * @returns {string|null} New name, or null when the column is dropped
+ */
+export function mappedColumnName(entry, sourceName) {
+  switch (entry?.action) {
+    case 'drop':
+      return null;
+    case 'field':
+      return CANONICAL_FIELDS.find(field => field.key === entry.field)?.label ?? sourceName;
+    case 'rename':
+      return entry.name?.trim() || sourceName;
+    default:
+      return sourceName;
+  }
+}
+
+/**
+ * Rename and drop columns according to a mapping
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object[]|null} mapping - One entry per source column; null leaves the table unchanged
+ * @returns {string[][]} Mapped table
+ */
+export function applyColumnMapping(rows, mapping) {
+  if (!mapping || rows.length === 0) return rows;
+
+  const [header, ...body] = rows;
+  const columns = header
+    .map((cell, index) => ({ index, name: mappedColumnName(mapping[index], cell) }))
+    .filter(column => column.name !== null);
+
+  return [
+    columns.map(column => column.name),
+    ...body.map(row => columns.map(column => row[column.index] ?? ''))
+  ];
+}
+
+/**
+ * Whether a mapping can be used for a header row
+ * @param {object[]} mapping
+ * @param {string[]} header
+ * @returns {boolean}
+ */
+export function isMappingCompatible(mapping, header) {
+  return Array.isArray(mapping) && mapping.length === header.length;
+}
+
+/**
+ * Saved mapping templates
+ * @returns {Array<{id: string, name: string, signature: string, mapping: object[], createdAt: string}>}
+ */
+export function getMappingTemplates() {
+  return loadJSON(TEMPLATES_KEY, []);
+}
+
+/**
+ * Save a mapping as a named template; a template with the same name is replaced
+ * @param {string} name - Template name, e.g. the supplier
+ * @param {string[]} header - Header row the mapping was made for
+ * @param {object[]} mapping - Mapping entries
+ * @returns {object} Saved template
+ */
+export function saveMappingTemplate(name, header, mapping) {
+  const template = {
+    id: `tpl_${Date.now()}`,
+    name: name.trim(),
+    signature: headerSignature(header),
+    mapping,
+    createdAt: new Date().toISOString()
+  };
+  const templates = getMappingTemplates().filter(existing => existing.name !== template.name);
+  saveJSON(TEMPLATES_KEY, [template, ...templates]);
+  return template;
+}
+
+/**
+ * Delete a saved template
+ * @param {string} templateId
+ */
+export function deleteMappingTemplate(templateId) {
+  saveJSON(TEMPLATES_KEY, getMappingTemplates().filter(template => template.id !== templateId));
+}
+
+/**
+ * Find the saved template for a header layout
+ * @param {string[]} header - Header row
+ * @returns {object|null} Matching template
+ */
+export function findTemplateForHeader(header) {
+  const signature = headerSignature(header);
+  return getMappingTemplates().find(template => template.signature === signature) || null;
+}
@@ -0,0 +1,230 @@
+/**
+ * Compare an extracted table against a hand-corrected reference and score its accuracy
+ */
+
+import { columnKey, findColumns } from './columnMapping';
+import { serializeCsv } from './csv';
+
+// Rows scoring below this are treated as different items when matching without S.NO
+const MIN_ROW_SIMILARITY = 0.5;
+
+/**
+ * Normalize a cell for comparison: numbers by value, text by case-insensitive content
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCell(value) {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  if (/^-?\d+(\.\d+)?$/.test(text)) return String(Number(text));
+  return text.toUpperCase();
+}
+
+/**
+ * Similarity of two strings from 0 to 1 (Dice coefficient over character pairs)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const pair = a.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const pair = b.slice(i, i + 2);
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+const isBlankRow = (row) => row.every(cell => !String(cell ?? '').trim());
+
+/**
+ * Pair reference rows with extracted rows, by serial number when both tables have unique ones
+ * @returns {{pairs: Array<[number|null, number|null]>, matchedBy: string}} Body indices (reference, actual)
+ */
+function alignRows(referenceBody, actualBody, columns, referenceHeader, actualHeader) {
+  const refSerial = findColumns(referenceHeader).serialNo;
+  const actSerial = findColumns(actualHeader).serialNo;
+  const serialOf = (row, index) => normalizeCell(row[index]);
+
+  const hasUniqueSerials = (body, index) => {
+    const serials = body.map(row => serialOf(row, index)).filter(Boolean);
+    return serials.length > 0 && new Set(serials).size === serials.length;
+  };
+
+  const usedActual = new Set();
+  const matches = new Map();
+  let matchedBy = 'fuzzy';
+
+  if (refSerial >= 0 && actSerial >= 0 && hasUniqueSerials(referenceBody, refSerial) && hasUniqueSerials(actualBody, actSerial)) {
+    matchedBy = 'serial';
+    const actualBySerial = new Map(actualBody.map((row, index) => [serialOf(row, actSerial), index]));
+    referenceBody.forEach((row, refIndex) => {
+      const actIndex = actualBySerial.get(serialOf(row, refSerial));
+      if (serialOf(row, refSerial) && actIndex !== undefined) {
+        matches.set(refIndex, actIndex);
+        usedActual.add(actIndex);
+      }
+    });
+  }
+
+  // Rows without a serial match (or every row, when matching fuzzily) go to the most similar free row
+  const rowSimilarity = (refRow, actRow) => {
+    const scores = columns
+      .filter(column => column.refIndex >= 0 && column.actIndex >= 0)
+      .map(column => similarity(normalizeCell(refRow[column.refIndex]), normalizeCell(actRow[column.actIndex])));
+    return scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+  };
+
+  referenceBody.forEach((refRow, refIndex) => {
+    if (matches.has(refIndex)) return;
+    let best = null;
+    actualBody.forEach((actRow, actIndex) => {
+      if (usedActual.has(actIndex)) return;
+      const score = rowSimilarity(refRow, actRow);
+      if (score >= MIN_ROW_SIMILARITY && (!best || score > best.score)) best = { actIndex, score };
+    });
+    if (best) {
+      matches.set(refIndex, best.actIndex);
+      usedActual.add(best.actIndex);
+    }
+  });
+
+  // Keep the reference order, slotting unmatched extracted rows in after their predecessor
+  const pairs = [];
+  const placed = new Set();
+  const placeExtrasBefore = (limit) => {
+    actualBody.forEach((_, actIndex) => {
+      if (actIndex < limit && !usedActual.has(actIndex) && !placed.has(actIndex)) {
+        pairs.push([null, actIndex]);
+        placed.add(actIndex);
+      }
+    });
+  };
+
+  referenceBody.forEach((_, refIndex) => {
+    const actIndex = matches.has(refIndex) ? matches.get(refIndex) : null;
+    if (actIndex !== null) placeExtrasBefore(actIndex);
+    pairs.push([refIndex, actIndex]);
+  });
+  placeExtrasBefore(actualBody.length);
+
+  return { pairs, matchedBy };
+}
+
+/**
+ * Cell-level comparison of an extracted table with a reference
+ * Columns are lined up by header (canonical names count as equal); blank rows are ignored
+ * @param {string[][]} actualRows - Extracted table, header first
+ * @param {string[][]} referenceRows - Hand-corrected table, header first
+ * @returns {{columns: Array<{name: string, refIndex: number, actIndex: number}>,
+ *   rows: Array<{status: string, refRow: number|null, actRow: number|null, cells: Array<{status: string, expected: string, actual: string}>}>,
+ *   columnStats: Array<{name: string, correct: number, total: number, accuracy: number|null}>,
+ *   overall: {correct: number, total: number, accuracy: number|null}, matchedBy: string, counts: object}}
+ *   row status is 'matched', 'added' (only extracted) or 'removed' (only in the reference);
+ *   cell status is 'same', 'changed', 'added' or 'removed'
+ */
+export function compareTables(actualRows, referenceRows) {
+  const [actualHeader = [], ...actualAll] = actualRows;
+  const [referenceHeader = [], ...referenceAll] = referenceRows;
+
+  const columns = referenceHeader.map((cell, refIndex) => ({
+    name: cell,
+    refIndex,
+    actIndex: actualHeader.findIndex(other => columnKey(other) === columnKey(cell))
+  }));
+  actualHeader.forEach((cell, actIndex) => {
+    if (!columns.some(column => column.actIndex === actIndex)) columns.push({ name: cell, refIndex: -1, actIndex });
+  });
+
+  // Keep each row's position in the original table for display
+  const referenceBody = referenceAll.map((row, index) => ({ row, line: index + 1 })).filter(({ row }) => !isBlankRow(row));
+  const actualBody = actualAll.map((row, index) => ({ row, line: index + 1 })).filter(({ row }) => !isBlankRow(row));
+
+  const { pairs, matchedBy } = alignRows(
+    referenceBody.map(entry => entry.row),
+    actualBody.map(entry => entry.row),
+    columns,
+    referenceHeader,
+    actualHeader
+  );
+
+  const stats = columns.map(() => ({ correct: 0, total: 0 }));
+  const counts = { matched: 0, added: 0, removed: 0, changedCells: 0 };
+
+  const rows = pairs.map(([refIndex, actIndex]) => {
+    const refRow = refIndex !== null ? referenceBody[refIndex].row : null;
+    const actRow = actIndex !== null ? actualBody[actIndex].row : null;
+    const status = refRow && actRow ? 'matched' : refRow ? 'removed' : 'added';
+    counts[status]++;
+
+    const cells = columns.map((column, columnIndex) => {
+      const expected = refRow && column.refIndex >= 0 ? refRow[column.refIndex] ?? '' : '';
+      const actual = actRow && column.actIndex >= 0 ? actRow[column.actIndex] ?? '' : '';
+      let cellStatus;
+      if (status !== 'matched') {
+        cellStatus = status;
+      } else if (column.refIndex < 0) {
+        cellStatus = 'added';
+      } else if (column.actIndex < 0) {
+        cellStatus = 'removed';
+      } else {
+        cellStatus = normalizeCell(expected) === normalizeCell(actual) ? 'same' : 'changed';
+      }
+
+      // Accuracy is scored against the reference: every reference cell counts once
+      if (refRow && column.refIndex >= 0) {
+        stats[columnIndex].total++;
+        if (cellStatus === 'same') stats[columnIndex].correct++;
+      }
+      if (cellStatus === 'changed') counts.changedCells++;
+      return { status: cellStatus, expected, actual };
+    });
+
+    return {
+      status,
+      refRow: refIndex !== null ? referenceBody[refIndex].line : null,
+      actRow: actIndex !== null ? actualBody[actIndex].line : null,
+      cells
+    };
+  });
+
+  const toAccuracy = ({ correct, total }) => (total ? Math.round((correct / total) * 1000) / 10 : null);
+  const columnStats = columns
+    .map((column, index) => ({ name: column.name, ...stats[index], accuracy: toAccuracy(stats[index]) }))
+    .filter(column => column.total > 0);
+  const overall = columnStats.reduce(
+    (sum, column) => ({ correct: sum.correct + column.correct, total: sum.total + column.total }),
+    { correct: 0, total: 0 }
+  );
+
+  return { columns, rows, columnStats, overall: { ...overall, accuracy: toAccuracy(overall) }, matchedBy, counts };
+}
+
+/**
+ * Per-column accuracy as CSV text
+ * @param {object} comparison - From compareTables
+ * @returns {string}
+ */
+export function buildAccuracyReport(comparison) {
+  const percent = (accuracy) => (accuracy === null ? '' : accuracy.toFixed(1));
+  return serializeCsv([
+    ['COLUMN', 'CORRECT', 'TOTAL', 'ACCURACY %'],
+    ...comparison.columnStats.map(column => [column.name, String(column.correct), String(column.total), percent(column.accuracy)]),
+    ['ALL COLUMNS', String(comparison.overall.correct), String(comparison.overall.total), percent(comparison.overall.accuracy)],
+    [],
+    ['ROWS MATCHED', String(comparison.counts.matched)],
+    ['ROWS MISSING FROM EXTRACTION', String(comparison.counts.removed)],
+    ['EXTRA ROWS IN EXTRACTION', String(comparison.counts.added)],
+    ['ROWS MATCHED BY', comparison.matchedBy === 'serial' ? 'S.NO' : 'Similarity']
+  ]);
+}
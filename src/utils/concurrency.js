@@ -0,0 +1,37 @@
+/**
+ * Run async work over many items without flooding the server
+ */
+
+/**
+ * Call worker for every item with at most `concurrency` calls in flight
+ * Never rejects: each item's outcome is reported separately so one failure doesn't hide the rest
+ * @param {Array} items
+ * @param {function} worker - async (item, index) => value
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum calls at once (default: 4)
+ * @param {function} options.onProgress - Called with (finishedCount, total) after each item
+ * @returns {Promise<Array<{item: any, ok: boolean, value?: any, error?: Error}>>} Outcomes in input order
+ */
+export async function runWithConcurrency(items, worker, { concurrency = 4, onProgress } = {}) {
+  const outcomes = new Array(items.length);
+  let next = 0;
+  let finished = 0;
+
+  const runLane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        outcomes[index] = { item, ok: true, value: await worker(item, index) };
+      } catch (error) {
+        outcomes[index] = { item, ok: false, error };
+      }
+      finished++;
+      onProgress?.(finished, items.length);
+    }
+  };
+
+  const lanes = Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, runLane);
+  await Promise.all(lanes);
+  return outcomes;
+}
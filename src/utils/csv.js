@@ -0,0 +1,222 @@
+/**
+ * RFC 4180 CSV parsing and serialization shared by every preview, edit and export path
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+const SNIFF_LINE_LIMIT = 10;
+const BOM = '\uFEFF';
+
+/**
+ * Remove a leading UTF-8 byte order mark
+ * @param {string} text - Raw CSV content
+ * @returns {string} Content without BOM
+ */
+export function stripBom(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Guess the delimiter from the first lines of the content
+ * Picks the candidate that appears a consistent, non-zero number of times per line
+ * @param {string} text - CSV content
+ * @returns {string} ',' ';' or '\t' (comma when nothing stands out)
+ */
+export function detectDelimiter(text) {
+  const lines = [];
+  let current = '';
+  let inQuote = false;
+
+  for (let i = 0; i < text.length && lines.length < SNIFF_LINE_LIMIT; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuote = !inQuote;
+    } else if ((char === '\n' || char === '\r') && !inQuote) {
+      if (current.trim()) lines.push(current);
+      current = '';
+      continue;
+    }
+    // Delimiters inside quotes don't count, so blank them out
+    current += inQuote ? ' ' : char;
+  }
+  if (current.trim() && lines.length < SNIFF_LINE_LIMIT) lines.push(current);
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const first = counts[0];
+    if (first === 0) return;
+
+    const consistent = counts.filter(count => count === first).length / counts.length;
+    const score = consistent * first;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * Pad ragged rows so every row has the same number of cells
+ * @param {string[][]} rows - Parsed rows
+ * @returns {string[][]} New rows, all as wide as the widest one
+ */
+export function normalizeRows(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  return rows.map(row => (row.length === width ? [...row] : [...row, ...Array(width - row.length).fill('')]));
+}
+
+/**
+ * Single parsing pass; quotes at the offsets in literalQuotes are treated as plain text
+ */
+function parsePass(text, delimiter, literalQuotes) {
+  const rows = [];
+  const errors = [];
+  let row = [];
+  let field = '';
+  let line = 1;
+  let fieldStart = 0;
+  let inQuote = false;
+  let quoteOpenedAt = -1;
+  let quoteOpenedLine = 1;
+  let afterClosingQuote = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    afterClosingQuote = false;
+  };
+
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuote) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuote = false;
+        afterClosingQuote = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === delimiter) {
+      endField();
+      fieldStart = i + 1;
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      // CRLF counts as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      fieldStart = i + 1;
+    } else if (char === '"' && i === fieldStart && !literalQuotes.has(i)) {
+      inQuote = true;
+      quoteOpenedAt = i;
+      quoteOpenedLine = line;
+    } else {
+      if (char === '"' && !literalQuotes.has(i)) {
+        errors.push({ line, message: 'Unexpected quote inside an unquoted field' });
+      } else if (afterClosingQuote) {
+        errors.push({ line, message: 'Unexpected text after a closing quote' });
+        afterClosingQuote = false;
+      }
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuote) {
+    return { unterminatedAt: quoteOpenedAt, unterminatedLine: quoteOpenedLine };
+  }
+
+  // Content that doesn't end with a newline still has a last row
+  if (field !== '' || row.length > 0 || afterClosingQuote) {
+    endRow();
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Parse CSV text and report problems found along the way
+ * @param {string} text - Raw CSV content (BOM and CRLF are handled)
+ * @param {object} options
+ * @param {string} options.delimiter - Field delimiter; sniffed from the content when omitted
+ * @param {boolean} options.skipEmptyRows - Drop rows whose cells are all empty (default: true)
+ * @returns {{rows: string[][], delimiter: string, hasBom: boolean, errors: Array<{line: number, message: string}>}}
+ */
+export function parseCsvWithReport(text, { delimiter, skipEmptyRows = true } = {}) {
+  const source = text || '';
+  const hasBom = source.charCodeAt(0) === 0xFEFF;
+  const content = stripBom(source);
+  const usedDelimiter = delimiter || detectDelimiter(content);
+
+  // An unterminated quote would swallow the rest of the file: report it,
+  // treat that quote as a literal character and parse again
+  const literalQuotes = new Set();
+  const unterminatedErrors = [];
+  let result = parsePass(content, usedDelimiter, literalQuotes);
+  while (result.unterminatedAt !== undefined) {
+    unterminatedErrors.push({ line: result.unterminatedLine, message: 'Quoted field is never closed' });
+    literalQuotes.add(result.unterminatedAt);
+    result = parsePass(content, usedDelimiter, literalQuotes);
+  }
+
+  let rows = result.rows;
+  if (skipEmptyRows) {
+    rows = rows.filter(row => row.some(cell => cell.trim() !== ''));
+  }
+
+  const errors = [...unterminatedErrors, ...result.errors].sort((a, b) => a.line - b.line);
+
+  return { rows, delimiter: usedDelimiter, hasBom, errors };
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - Raw CSV content
+ * @param {object} options - See parseCsvWithReport
+ * @returns {string[][]} Rows, with fully empty rows removed
+ */
+export function parseCsv(text, options) {
+  return parseCsvWithReport(text, options).rows;
+}
+
+/**
+ * Serialize rows of cells into CSV text
+ * Fields are quoted only when they contain the delimiter, a quote or a line break, unless quoteAll is set
+ * @param {string[][]} rows - Rows to serialize
+ * @param {object} options
+ * @param {string} options.delimiter - Field delimiter (default: ',')
+ * @param {string} options.lineEnding - '\n' or '\r\n' (default: '\n')
+ * @param {boolean} options.bom - Prefix the output with a UTF-8 BOM (default: false)
+ * @param {boolean} options.quoteAll - Quote every field (default: false)
+ * @param {string} options.decimalSeparator - Written in place of '.' in plain decimal numbers (default: '.')
+ * @returns {string} CSV content
+ */
+export function serializeCsv(rows, { delimiter = ',', lineEnding = '\n', bom = false, quoteAll = false, decimalSeparator = '.' } = {}) {
+  const needsQuoting = (value) => quoteAll || value.includes(delimiter) || /["\r\n]/.test(value);
+  const formatNumber = (value) => (decimalSeparator !== '.' && /^-?\d+\.\d+$/.test(value) ? value.replace('.', decimalSeparator) : value);
+
+  const body = rows.map(row => row.map(cell => {
+    const value = formatNumber(cell == null ? '' : String(cell));
+    return needsQuoting(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(delimiter)).join(lineEnding);
+
+  return bom ? `${BOM}${body}` : body;
+}
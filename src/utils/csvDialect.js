@@ -0,0 +1,119 @@
+/**
+ * Saved CSV dialect (delimiter, decimals, encoding, BOM, line endings, quoting) used for every CSV download
+ */
+
+import { serializeCsv } from './csv';
+import { loadJSON, saveJSON } from './storage';
+
+const CSV_DIALECT_KEY = 'pdf_csv_dialect';
+
+export const CSV_DELIMITERS = [
+  { id: ',', label: 'Comma (,)' },
+  { id: ';', label: 'Semicolon (;)' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe (|)' }
+];
+
+export const DECIMAL_SEPARATORS = [
+  { id: '.', label: 'Point (12.50)' },
+  { id: ',', label: 'Comma (12,50)' }
+];
+
+export const CSV_ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'windows-1252', label: 'Windows-1252 (older Excel)' }
+];
+
+export const LINE_ENDINGS = [
+  { id: '\n', label: 'LF (Mac / Linux)' },
+  { id: '\r\n', label: 'CRLF (Windows)' }
+];
+
+export const QUOTING_MODES = [
+  { id: 'minimal', label: 'Only when needed' },
+  { id: 'all', label: 'Every field' }
+];
+
+// Matches what the converter itself produces, so an untouched result downloads byte for byte
+export const DEFAULT_CSV_DIALECT = {
+  delimiter: ',',
+  decimalSeparator: '.',
+  encoding: 'utf-8',
+  bom: true,
+  lineEnding: '\n',
+  quoting: 'minimal'
+};
+
+// Windows-1252 characters in 0x80-0x9F; the rest of the range up to 0xFF matches Unicode
+const WINDOWS_1252_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/**
+ * Saved dialect merged over the defaults
+ * @returns {object}
+ */
+export function loadCsvDialect() {
+  return { ...DEFAULT_CSV_DIALECT, ...loadJSON(CSV_DIALECT_KEY, {}) };
+}
+
+/**
+ * Remember the dialect as the default for every CSV download
+ * @param {object} dialect
+ */
+export function saveCsvDialect(dialect) {
+  saveJSON(CSV_DIALECT_KEY, dialect);
+}
+
+/**
+ * Whether the dialect produces the same bytes as the converter
+ * @param {object} dialect
+ * @returns {boolean}
+ */
+export function isDefaultCsvDialect(dialect) {
+  return Object.keys(DEFAULT_CSV_DIALECT).every(key => dialect[key] === DEFAULT_CSV_DIALECT[key]);
+}
+
+/**
+ * Encode text as Windows-1252; characters it cannot represent become '?'
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function encodeWindows1252(text) {
+  // By code point, so a character outside the BMP (an emoji) becomes one '?' rather than two
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) {
+      bytes.push(code);
+    } else {
+      bytes.push(WINDOWS_1252_EXTRAS[char] ?? 0x3F);
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Serialize rows as a CSV file in the given dialect
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} dialect - From loadCsvDialect (defaults when omitted)
+ * @returns {Blob}
+ */
+export function buildCsvBlob(rows, dialect = DEFAULT_CSV_DIALECT) {
+  const isUtf8 = dialect.encoding !== 'windows-1252';
+  const text = serializeCsv(rows, {
+    delimiter: dialect.delimiter,
+    decimalSeparator: dialect.decimalSeparator,
+    lineEnding: dialect.lineEnding,
+    quoteAll: dialect.quoting === 'all',
+    // A BOM only exists in Unicode encodings
+    bom: isUtf8 && dialect.bom
+  });
+
+  return isUtf8
+    ? new Blob([text], { type: 'text/csv;charset=utf-8' })
+    : new Blob([encodeWindows1252(text)], { type: 'text/csv;charset=windows-1252' });
+}
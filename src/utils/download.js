@@ -0,0 +1,22 @@
+/**
+ * Helpers for saving generated files in the browser
+ */
+
+/**
+ * Trigger a browser download for a Blob
+ * Going through a Blob URL is necessary to enforce the filename on cross-origin files
+ * @param {Blob} blob - File content
+ * @param {string} filename - Name for the saved file
+ */
+export function saveBlob(blob, filename) {
+  const blobUrl = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  // Cleanup
+  document.body.removeChild(link);
+  URL.revokeObjectURL(blobUrl);
+}
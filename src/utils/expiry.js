@@ -0,0 +1,108 @@
+/**
+ * Parse the EXPIRY column and flag expired or near-expiry stock
+ */
+
+import { findColumns } from './columnMapping';
+import { serializeCsv } from './csv';
+
+export const DEFAULT_WARN_MONTHS = 3;
+
+// Hex colours for flagged rows; the preview grid derives a translucent tint from them
+export const EXPIRY_COLORS = {
+  expired: '#EF4444',
+  near: '#F59E0B'
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Parse an expiry such as "11/24", "11-2024", "NOV-24" or "NOV 2024"
+ * @param {string} value - Cell content
+ * @returns {{year: number, month: number}|null} month is 1-12; null when the cell isn't a date
+ */
+export function parseExpiry(value) {
+  const trimmed = (value || '').trim().toUpperCase();
+
+  let month;
+  let year;
+  const numeric = trimmed.match(/^(\d{1,2})\s*[/.\-]\s*(\d{2}|\d{4})$/);
+  const named = trimmed.match(/^([A-Z]{3})[A-Z]*\s*[/.\-']?\s*(\d{2}|\d{4})$/);
+  if (numeric) {
+    month = Number(numeric[1]);
+    year = Number(numeric[2]);
+  } else if (named) {
+    month = MONTH_NAMES.indexOf(named[1]) + 1;
+    year = Number(named[2]);
+  } else {
+    return null;
+  }
+
+  if (month < 1 || month > 12) return null;
+  return { year: year < 100 ? 2000 + year : year, month };
+}
+
+/**
+ * Whole months from now until the end of the expiry month; negative once expired
+ * @param {{year: number, month: number}} expiry
+ * @param {Date} now
+ * @returns {number}
+ */
+function monthsUntil(expiry, now) {
+  return (expiry.year - now.getFullYear()) * 12 + (expiry.month - (now.getMonth() + 1));
+}
+
+/**
+ * Expiry status of every line item, sorted by expiry date (unparseable dates last)
+ * Stock stays usable until the end of its expiry month
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} options
+ * @param {number} options.warnMonths - Flag stock expiring within this many months
+ * @param {Date} options.now - Reference date, mainly for tests
+ * @returns {{hasExpiryColumn: boolean, items: Array<{row: number, product: string, batch: string, expiry: string, monthsLeft: number|null, status: string}>}}
+ *   status is 'expired', 'near', 'ok' or 'invalid'
+ */
+export function analyzeExpiry(rows, { warnMonths = DEFAULT_WARN_MONTHS, now = new Date() } = {}) {
+  const [header = [], ...body] = rows;
+  const columns = findColumns(header);
+  if (columns.expiry < 0) return { hasExpiryColumn: false, items: [] };
+
+  const cellAt = (row, key) => (columns[key] >= 0 ? (row[columns[key]] ?? '').trim() : '');
+
+  const items = body
+    .map((row, bodyIndex) => {
+      const expiry = cellAt(row, 'expiry');
+      if (!expiry) return null;
+
+      const parsed = parseExpiry(expiry);
+      const monthsLeft = parsed ? monthsUntil(parsed, now) : null;
+      let status = 'invalid';
+      if (parsed) {
+        status = monthsLeft < 0 ? 'expired' : monthsLeft < warnMonths ? 'near' : 'ok';
+      }
+
+      return { row: bodyIndex + 1, product: cellAt(row, 'product'), batch: cellAt(row, 'batch'), expiry, monthsLeft, status };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.monthsLeft ?? Infinity) - (b.monthsLeft ?? Infinity));
+
+  return { hasExpiryColumn: true, items };
+}
+
+/**
+ * Expiry report as CSV text, soonest expiry first
+ * @param {object[]} items - From analyzeExpiry
+ * @returns {string}
+ */
+export function buildExpiryReport(items) {
+  const labels = { expired: 'Expired', near: 'Near expiry', ok: 'OK', invalid: 'Unreadable date' };
+  return serializeCsv([
+    ['PRODUCT DESCRIPTION', 'BATCH NO', 'EXPIRY', 'MONTHS LEFT', 'STATUS'],
+    ...items.map(item => [
+      item.product,
+      item.batch,
+      item.expiry,
+      item.monthsLeft === null ? '' : String(item.monthsLeft),
+      labels[item.status]
+    ])
+  ]);
+}
@@ -0,0 +1,144 @@
+/**
+ * Convert parsed result tables into downloadable files
+ */
+
+import { serializeCsv } from './csv';
+import { buildTallyXml } from './tally';
+import { buildCsvBlob } from './csvDialect';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { id: 'xlsx', label: 'XLSX', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+  { id: 'tsv', label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+  { id: 'tally', label: 'Tally XML', extension: 'xml', mimeType: 'application/xml;charset=utf-8' }
+];
+
+/**
+ * Look up an export format by id
+ * @param {string} formatId - Format id, e.g. 'xlsx'
+ * @returns {object} Format descriptor (CSV when unknown)
+ */
+export function getExportFormat(formatId) {
+  return EXPORT_FORMATS.find(format => format.id === formatId) || EXPORT_FORMATS[0];
+}
+
+/**
+ * Remove any known export extension from a filename
+ * @param {string} name - Filename typed by the user
+ * @returns {string} Name without export extension
+ */
+export function stripExportExtension(name) {
+  const extensions = EXPORT_FORMATS.map(format => format.extension).join('|');
+  return name.replace(new RegExp(`\\.(${extensions})$`, 'i'), '');
+}
+
+/**
+ * Unique, non-empty keys for each header cell
+ * @param {string[]} header - Header row
+ * @returns {string[]} Keys usable as object properties
+ */
+function headerKeys(header) {
+  const seen = new Map();
+  return header.map((cell, index) => {
+    const base = (cell || '').trim() || `COLUMN_${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+/**
+ * Parse a cell as a number when it is plainly numeric
+ * Values with leading zeros (codes such as HSN or batch numbers) stay text
+ * @param {string} value - Cell content
+ * @returns {{value: number, decimals: number}|null}
+ */
+function toNumber(value) {
+  const trimmed = (value || '').trim();
+  if (!/^-?\d+(\.\d+)?$/.test(trimmed)) return null;
+  if (/^-?0\d/.test(trimmed)) return null;
+  const decimals = trimmed.includes('.') ? trimmed.split('.')[1].length : 0;
+  return { value: Number(trimmed), decimals };
+}
+
+/**
+ * Rows as an array of objects keyed by header
+ * @param {string[][]} rows - Table with the header in the first row
+ * @returns {object[]}
+ */
+export function rowsToObjects(rows) {
+  const [header = [], ...body] = rows;
+  const keys = headerKeys(header);
+  return body.map(row => Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ''])));
+}
+
+async function buildXlsx(rows, { sheetName = 'Invoice' } = {}) {
+  // exceljs is large, so it is only loaded when someone actually exports XLSX
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  const [header = [], ...body] = rows;
+  worksheet.addRow(header);
+  worksheet.getRow(1).font = { bold: true };
+
+  body.forEach(row => {
+    const added = worksheet.addRow([]);
+    row.forEach((cell, index) => {
+      const target = added.getCell(index + 1);
+      const number = toNumber(cell);
+      if (number) {
+        target.value = number.value;
+        if (number.decimals > 0) {
+          target.numFmt = `0.${'0'.repeat(number.decimals)}`;
+        }
+      } else {
+        target.value = cell ?? '';
+      }
+    });
+  });
+
+  // Size columns to their longest value so the sheet is readable on open
+  header.forEach((_, index) => {
+    const longest = Math.max(...rows.map(row => String(row[index] ?? '').length));
+    worksheet.getColumn(index + 1).width = Math.min(Math.max(longest + 2, 8), 50);
+  });
+
+  return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Build a downloadable file from a result table
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {string} formatId - One of EXPORT_FORMATS ids
+ * @param {object} options
+ * @param {object} options.tally - Settings for the Tally voucher (see DEFAULT_TALLY_SETTINGS)
+ * @param {object} options.csv - CSV dialect (see DEFAULT_CSV_DIALECT)
+ * @returns {Promise<Blob>} File content
+ */
+export async function buildExport(rows, formatId, { tally, csv } = {}) {
+  const format = getExportFormat(formatId);
+  if (format.id === 'csv') return buildCsvBlob(rows, csv);
+
+  let content;
+
+  switch (format.id) {
+    case 'xlsx':
+      content = await buildXlsx(rows);
+      break;
+    case 'json':
+      content = JSON.stringify(rowsToObjects(rows), null, 2);
+      break;
+    case 'tsv':
+      content = serializeCsv(rows, { delimiter: '\t' });
+      break;
+    case 'tally':
+      content = buildTallyXml(rows, tally);
+      break;
+  }
+
+  return new Blob([content], { type: format.mimeType });
+}
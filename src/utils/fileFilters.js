@@ -0,0 +1,109 @@
+/**
+ * Search, filter and sort for the converted file history
+ */
+
+import { endOfDay, isAfter, isBefore, parseISO, startOfDay } from 'date-fns';
+import { loadJSON, saveJSON } from './storage';
+
+const FILE_FILTERS_KEY = 'pdf_csv_file_filters';
+
+export const FILE_SORTS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'name', label: 'Name (A–Z)' },
+  { id: 'size', label: 'Largest first' }
+];
+
+const KB = 1024;
+
+export const SIZE_FILTERS = [
+  { id: 'any', label: 'Any size', min: 0, max: Infinity },
+  { id: 'small', label: 'Under 10 KB', min: 0, max: 10 * KB },
+  { id: 'medium', label: '10 KB – 100 KB', min: 10 * KB, max: 100 * KB },
+  { id: 'large', label: 'Over 100 KB', min: 100 * KB, max: Infinity }
+];
+
+export const DEFAULT_FILE_FILTERS = {
+  query: '',
+  from: '',
+  to: '',
+  size: 'any',
+  sort: 'newest'
+};
+
+const SIZE_UNITS = { BYTES: 1, KB, MB: KB * KB, GB: KB * KB * KB };
+
+/**
+ * Saved filters merged over the defaults
+ * @returns {object}
+ */
+export function loadFileFilters() {
+  return { ...DEFAULT_FILE_FILTERS, ...loadJSON(FILE_FILTERS_KEY, {}) };
+}
+
+/**
+ * Remember the filters for the next visit
+ * @param {object} filters
+ */
+export function saveFileFilters(filters) {
+  saveJSON(FILE_FILTERS_KEY, filters);
+}
+
+/**
+ * Whether anything narrows the list (sorting alone does not)
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(filters.query.trim() || filters.from || filters.to || filters.size !== 'any');
+}
+
+/**
+ * Size of a stored file in bytes, read from the formatted size when the raw one is missing
+ * @param {object} file - File from /api/files
+ * @returns {number}
+ */
+export function fileSizeBytes(file) {
+  if (Number.isFinite(file.size)) return file.size;
+  const match = /^([\d.]+)\s*(bytes|kb|mb|gb)$/i.exec((file.formattedSize || '').trim());
+  return match ? Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()] : 0;
+}
+
+const uploadTime = (file) => (file.uploadDate ? new Date(file.uploadDate).getTime() : 0);
+
+/**
+ * Apply the search, date range and size filters, then sort
+ * @param {object[]} files - Files from /api/files
+ * @param {object} filters - See DEFAULT_FILE_FILTERS
+ * @returns {object[]} New array
+ */
+export function filterFiles(files, filters) {
+  const terms = filters.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const from = filters.from ? startOfDay(parseISO(filters.from)) : null;
+  const to = filters.to ? endOfDay(parseISO(filters.to)) : null;
+  const size = SIZE_FILTERS.find(option => option.id === filters.size) || SIZE_FILTERS[0];
+
+  const matches = files.filter(file => {
+    const name = (file.filename || '').toLowerCase();
+    if (!terms.every(term => name.includes(term))) return false;
+
+    if (from || to) {
+      if (!file.uploadDate) return false;
+      const date = new Date(file.uploadDate);
+      if (from && isBefore(date, from)) return false;
+      if (to && isAfter(date, to)) return false;
+    }
+
+    const bytes = fileSizeBytes(file);
+    return bytes >= size.min && bytes < size.max;
+  });
+
+  const compare = {
+    newest: (a, b) => uploadTime(b) - uploadTime(a),
+    oldest: (a, b) => uploadTime(a) - uploadTime(b),
+    name: (a, b) => (a.filename || '').localeCompare(b.filename || '', undefined, { numeric: true, sensitivity: 'base' }),
+    size: (a, b) => fileSizeBytes(b) - fileSizeBytes(a)
+  }[filters.sort] || (() => 0);
+
+  return matches.sort(compare);
+}
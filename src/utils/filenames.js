@@ -0,0 +1,171 @@
+/**
+ * Filename templates for every saved file, e.g. "{supplier}_{invoiceNo}_{date:YYYY-MM-DD}"
+ */
+
+import { compactHeader, findColumn } from './columnMapping';
+import { loadJSON, saveJSON } from './storage';
+
+const FILENAME_TEMPLATE_KEY = 'pdf_csv_filename_template';
+
+export const DEFAULT_FILENAME_TEMPLATE = '{original}';
+
+export const FILENAME_TOKENS = [
+  { token: '{original}', description: 'Uploaded file name without extension' },
+  { token: '{date:YYYY-MM-DD}', description: 'Download date (YYYY, YY, MM, DD, HH, mm, ss)' },
+  { token: '{jobId}', description: 'Conversion job id' },
+  { token: '{supplier}', description: 'Most frequent MFG value in the table' },
+  { token: '{invoiceNo}', description: 'Invoice number column, or the Tally voucher number' }
+];
+
+// Headers that carry the supplier's invoice number when the converter keeps it as a column
+const INVOICE_NUMBER_HEADERS = ['INVOICENO', 'INVNO', 'BILLNO', 'INVOICENUMBER', 'BILLNUMBER'];
+
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001F]/g;
+const RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
+const MAX_NAME_LENGTH = 150;
+const FALLBACK_NAME = 'converted-file';
+// Stands in for empty values until the separators around them are tidied
+const EMPTY_VALUE = '\uE000';
+
+/**
+ * Saved template, or the default that keeps the uploaded name
+ * @returns {string}
+ */
+export function loadFilenameTemplate() {
+  return loadJSON(FILENAME_TEMPLATE_KEY, DEFAULT_FILENAME_TEMPLATE) || DEFAULT_FILENAME_TEMPLATE;
+}
+
+/**
+ * Remember the template for every download
+ * @param {string} template
+ */
+export function saveFilenameTemplate(template) {
+  saveJSON(FILENAME_TEMPLATE_KEY, template);
+}
+
+/**
+ * Whether the template uses values read from the table itself
+ * @param {string} template
+ * @returns {boolean}
+ */
+export function templateNeedsRows(template) {
+  return /\{(supplier|invoiceNo)\}/.test(template);
+}
+
+/**
+ * Make a name safe to save on Windows, macOS and Linux
+ * @param {string} name - Filename without extension
+ * @returns {string} Sanitized name (never empty)
+ */
+export function sanitizeFilename(name) {
+  let safe = String(name ?? '')
+    .replace(ILLEGAL_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // Windows drops trailing dots and spaces
+    .replace(/[. ]+$/, '')
+    .slice(0, MAX_NAME_LENGTH);
+
+  if (RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+  return safe || FALLBACK_NAME;
+}
+
+/**
+ * Supplier and invoice number as printed in the table
+ * @param {string[][]} rows - Table with the header in the first row
+ * @returns {{supplier: string, invoiceNo: string}}
+ */
+export function extractFilenameDetails(rows) {
+  const [header = [], ...body] = rows || [];
+
+  const mostFrequent = (index) => {
+    if (index < 0) return '';
+    const counts = new Map();
+    body.forEach(row => {
+      const value = (row[index] ?? '').trim();
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    let best = '';
+    counts.forEach((count, value) => {
+      if (!best || count > counts.get(best)) best = value;
+    });
+    return best;
+  };
+
+  const invoiceIndex = header.findIndex(cell => INVOICE_NUMBER_HEADERS.includes(compactHeader(cell)));
+
+  return {
+    supplier: mostFrequent(findColumn(header, 'manufacturer')),
+    invoiceNo: mostFrequent(invoiceIndex)
+  };
+}
+
+/**
+ * Format a date with YYYY / YY / MM / DD / HH / mm / ss placeholders
+ */
+function formatDate(date, pattern) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return pattern.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, match => parts[match]);
+}
+
+/**
+ * Fill in a filename template
+ * Unknown tokens are kept as written; separators left dangling by empty values are removed
+ * @param {string} template - e.g. "{supplier}_{date:YYYY-MM-DD}"
+ * @param {object} context
+ * @param {string} context.original - Uploaded file name (its extension is dropped)
+ * @param {string} context.jobId
+ * @param {string} context.supplier
+ * @param {string} context.invoiceNo
+ * @param {Date} context.date - Defaults to now
+ * @returns {string} Sanitized name without extension
+ */
+export function applyFilenameTemplate(template, { original = '', jobId = '', supplier = '', invoiceNo = '', date = new Date() } = {}) {
+  const values = {
+    original: original.replace(/\.(pdf|jpe?g|png|csv|tsv|xlsx|json|xml)$/i, ''),
+    jobId,
+    supplier,
+    invoiceNo
+  };
+
+  const filled = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)(?::([^}]*))?\}/g, (match, token, pattern) => {
+    if (token === 'date') return formatDate(date, pattern || 'YYYY-MM-DD');
+    if (!(token in values)) return match;
+    return String(values[token] ?? '').trim() || EMPTY_VALUE;
+  });
+
+  // "{supplier}_{invoiceNo}_{date}" without an invoice number becomes "ACME_2024-05-01", not "ACME__2024-05-01"
+  const tidied = filled
+    .replace(new RegExp(`[-_ ]*${EMPTY_VALUE}(?:[-_ ]*${EMPTY_VALUE})*[-_ ]*`, 'g'), (run) => run.match(/[-_ ]/)?.[0] || '')
+    .replace(/^[-_ .]+|[-_ ]+$/g, '');
+
+  return sanitizeFilename(tidied);
+}
+
+/**
+ * Reserve a filename, adding " (2)", " (3)"... before the extension when it is already taken
+ * @param {string} filename - Name with extension
+ * @param {Set<string>} taken - Names used so far (case-insensitive); the result is added to it
+ * @returns {string}
+ */
+export function uniqueFilename(filename, taken) {
+  const dot = filename.lastIndexOf('.');
+  const base = dot > 0 ? filename.slice(0, dot) : filename;
+  const extension = dot > 0 ? filename.slice(dot) : '';
+
+  let candidate = filename;
+  for (let copy = 2; taken.has(candidate.toLowerCase()); copy++) {
+    candidate = `${base} (${copy})${extension}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
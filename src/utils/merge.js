@@ -0,0 +1,52 @@
+/**
+ * Combine several converted CSV files into one table
+ */
+
+import { columnKey, matchCanonicalField } from './columnMapping';
+
+export const SOURCE_FILE_COLUMN = 'SOURCE_FILE';
+export const UPLOAD_DATE_COLUMN = 'UPLOAD_DATE';
+
+// Blank headers say nothing about their content, so each one gets its own column
+const mergeKey = (cell, sourceIndex, index) => (
+  (cell || '').trim() ? columnKey(cell) : `blank:${sourceIndex}:${index}`
+);
+
+/**
+ * Merge tables under the union of their columns
+ * Columns keep the order in which they first appear; missing cells are left empty
+ * @param {Array<{rows: string[][], sourceFile: string, uploadDate: string}>} sources - Tables with their header in the first row
+ * @returns {string[][]} Merged table starting with SOURCE_FILE and UPLOAD_DATE
+ */
+export function mergeTables(sources) {
+  const columns = [];
+  const indexByKey = new Map();
+
+  sources.forEach(({ rows }, sourceIndex) => {
+    (rows[0] || []).forEach((cell, index) => {
+      const key = mergeKey(cell, sourceIndex, index);
+      if (indexByKey.has(key)) return;
+      indexByKey.set(key, columns.length);
+      columns.push(matchCanonicalField(cell)?.label || (cell || '').trim() || `COLUMN_${columns.length + 1}`);
+    });
+  });
+
+  const body = sources.flatMap(({ rows, sourceFile, uploadDate }, sourceIndex) => {
+    const [header = [], ...records] = rows;
+    const keys = header.map((cell, index) => mergeKey(cell, sourceIndex, index));
+    // A header can repeat a column; its first occurrence wins
+    const targets = keys.map((key, index) => (keys.indexOf(key) === index ? indexByKey.get(key) : -1));
+
+    return records
+      .filter(record => record.some(cell => (cell ?? '').trim()))
+      .map(record => {
+        const merged = Array(columns.length).fill('');
+        record.forEach((cell, index) => {
+          if (targets[index] >= 0) merged[targets[index]] = cell ?? '';
+        });
+        return [sourceFile, uploadDate, ...merged];
+      });
+  });
+
+  return [[SOURCE_FILE_COLUMN, UPLOAD_DATE_COLUMN, ...columns], ...body];
+}
@@ -0,0 +1,105 @@
+/**
+ * Undo page-break artifacts of multi-page invoices: repeated headers,
+ * carried-forward/subtotal lines and descriptions wrapped onto their own row
+ */
+
+import { compactHeader, findColumns } from './columnMapping';
+
+export const FIX_TYPES = {
+  repeatedHeader: 'Repeated header',
+  subtotal: 'Subtotal / carried forward',
+  continuation: 'Wrapped description'
+};
+
+const SUBTOTAL_PATTERN = /\b(carried|brought)\s*(forward|fwd|over)\b|\b[cb]\s*\/\s*f\b|\bsub\s*-?\s*total\b|\bpage\s*total\b/i;
+
+// Notes such as "Lot Rate Charged @ 10+1" look like wrapped text but belong to annotation handling
+const NOTE_PATTERN = /[@+%:]|\b(rate|scheme|sch|offer|free|charged|note|lot)\b/i;
+
+// Columns whose text can continue on the next line
+const TEXT_FIELDS = ['product', 'pack', 'manufacturer'];
+
+const NUMERIC_FIELDS = ['qty', 'free', 'mrp', 'ptr', 'rate', 'discount', 'scheme', 'gst', 'amount'];
+
+const isBlank = (value) => !(value ?? '').trim();
+
+/**
+ * Stable id of a fix, used to remember which fixes were reverted
+ * @param {string} type - Key of FIX_TYPES
+ * @param {number} row - Row index in the unrepaired table
+ * @returns {string}
+ */
+export const fixId = (type, row) => `${type}:${row}`;
+
+function isRepeatedHeader(row, header) {
+  const headerCells = header.map(compactHeader);
+  const filled = headerCells.filter(Boolean).length;
+  if (filled === 0) return false;
+  const matching = row.filter((cell, index) => headerCells[index] && compactHeader(cell) === headerCells[index]).length;
+  return matching / filled >= 0.8;
+}
+
+/**
+ * Find and apply page-break repairs
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {string[]} revertedFixes - Ids of fixes to leave unapplied
+ * @returns {{rows: string[][], fixes: Array<{id: string, type: string, row: number, parentRow: number|null, text: string, reverted: boolean}>}}
+ *   rows is the input array itself when nothing changed
+ */
+export function repairPageBreaks(rows, revertedFixes = []) {
+  const [header = []] = rows;
+  if (rows.length <= 1) return { rows, fixes: [] };
+
+  const columns = findColumns(header);
+  const textColumns = TEXT_FIELDS.map(key => columns[key]).filter(index => index >= 0);
+  const numericColumns = NUMERIC_FIELDS.map(key => columns[key]).filter(index => index >= 0);
+  const reverted = new Set(revertedFixes);
+
+  const isContinuation = (row) => {
+    if (textColumns.length === 0 || row.every(isBlank)) return false;
+    if (columns.serialNo >= 0 && !isBlank(row[columns.serialNo])) return false;
+    if (numericColumns.some(index => !isBlank(row[index]))) return false;
+    // Only the text columns may hold anything
+    if (row.some((cell, index) => !isBlank(cell) && !textColumns.includes(index))) return false;
+    return !NOTE_PATTERN.test(row.join(' '));
+  };
+
+  const fixes = [];
+  const output = [header];
+  // Row index in the input table for each output row, to name the row a continuation was merged into
+  const sourceRows = [0];
+  let parentIndex = null;
+
+  rows.slice(1).forEach((row, bodyIndex) => {
+    const rowIndex = bodyIndex + 1;
+    const text = row.map(cell => (cell ?? '').trim()).filter(Boolean).join(' ');
+
+    const addFix = (type, parentRow = null) => {
+      const id = fixId(type, rowIndex);
+      const fix = { id, type, row: rowIndex, parentRow, text, reverted: reverted.has(id) };
+      fixes.push(fix);
+      return !fix.reverted;
+    };
+
+    if (isRepeatedHeader(row, header)) {
+      if (addFix('repeatedHeader')) return;
+    } else if (SUBTOTAL_PATTERN.test(text)) {
+      if (addFix('subtotal')) return;
+    } else if (parentIndex !== null && isContinuation(row)) {
+      if (addFix('continuation', sourceRows[parentIndex])) {
+        output[parentIndex] = output[parentIndex].map((cell, index) => (
+          textColumns.includes(index) && !isBlank(row[index]) ? [cell, row[index].trim()].filter(Boolean).join(' ') : cell
+        ));
+        return;
+      }
+    }
+
+    // Reverted fixes stay as rows, but wrapped text never belongs to them
+    const isRevertedFix = fixes[fixes.length - 1]?.row === rowIndex;
+    if (!row.every(isBlank) && !isRevertedFix) parentIndex = output.length;
+    output.push(row);
+    sourceRows.push(rowIndex);
+  });
+
+  return fixes.some(fix => !fix.reverted) ? { rows: output, fixes } : { rows, fixes };
+}
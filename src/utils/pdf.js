@@ -0,0 +1,29 @@
+/**
+ * Lazy access to pdf.js for rendering uploaded invoices
+ */
+
+let pdfjsPromise = null;
+
+// pdf.js and its worker are large, so they are only fetched when a PDF is actually shown
+async function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * Open a PDF from a URL (object URLs included)
+ * @param {string} url - Location of the PDF
+ * @returns {Promise<object>} pdf.js document proxy; call destroy() when done
+ */
+export async function loadPdfDocument(url) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument(url).promise;
+}
@@ -0,0 +1,47 @@
+/**
+ * Local storage helpers that never throw
+ */
+
+/**
+ * Read and parse a JSON value from local storage
+ * @param {string} key - Storage key
+ * @param {any} fallback - Value returned when the key is missing or unreadable
+ * @returns {any} Parsed value or fallback
+ */
+export function loadJSON(key, fallback = null) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`Failed to parse stored value for ${key}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Serialize and store a JSON value in local storage
+ * @param {string} key - Storage key
+ * @param {any} value - Value to store
+ * @returns {boolean} Whether the value was stored
+ */
+export function saveJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Failed to store value for ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Remove a value from local storage
+ * @param {string} key - Storage key
+ */
+export function removeStored(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Failed to remove stored value for ${key}:`, error);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Tally Prime / ERP 9 import XML for converted purchase invoices
+ */
+
+import { findColumns } from './columnMapping';
+import { toTaxableLines } from './totals';
+
+export const DEFAULT_TALLY_SETTINGS = {
+  companyName: '',
+  partyLedger: '',
+  purchaseLedger: 'Purchase Accounts',
+  interState: false,
+  cgstLedger: 'Input CGST @ {rate}%',
+  sgstLedger: 'Input SGST @ {rate}%',
+  igstLedger: 'Input IGST @ {rate}%',
+  voucherType: 'Purchase',
+  voucherNumber: '',
+  voucherDate: '',
+  godown: 'Main Location',
+  unit: 'Nos',
+  includeStockItems: false
+};
+
+const toNumber = (value) => {
+  const parsed = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const formatAmount = (value) => round2(value).toFixed(2);
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const fillRate = (template, rate) => template.replace('{rate}', String(round2(rate)));
+
+/**
+ * Convert a YYYY-MM-DD date to Tally's YYYYMMDD (today when empty)
+ * @param {string} value
+ * @returns {string}
+ */
+function toTallyDate(value) {
+  // A bare YYYY-MM-DD parses as UTC; read it as a local date so the day doesn't shift
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value || Date.now());
+  const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${valid.getFullYear()}${pad(valid.getMonth() + 1)}${pad(valid.getDate())}`;
+}
+
+/**
+ * Pull priced line items out of a result table, skipping annotation and blank rows
+ * @param {string[][]} rows - Table with the header in the first row
+ * @returns {Array<{product: string, batch: string, hsn: string, qty: number, free: number, rate: number, discount: number, gstRate: number, amount: number}>}
+ */
+export function extractTallyLines(rows) {
+  const [header = [], ...body] = rows;
+  const columns = findColumns(header);
+  const cell = (row, key) => (columns[key] >= 0 ? (row[columns[key]] ?? '').trim() : '');
+
+  return body
+    .map(row => {
+      const qty = toNumber(cell(row, 'qty'));
+      const rate = toNumber(cell(row, 'rate'));
+      const amountCell = cell(row, 'amount');
+      return {
+        product: cell(row, 'product'),
+        batch: cell(row, 'batch'),
+        hsn: cell(row, 'hsn'),
+        qty,
+        free: toNumber(cell(row, 'free')),
+        rate,
+        discount: toNumber(cell(row, 'discount')),
+        gstRate: toNumber(cell(row, 'gst')),
+        amount: amountCell ? toNumber(amountCell) : round2(qty * rate)
+      };
+    })
+    .filter(line => line.product && (line.qty > 0 || line.amount > 0));
+}
+
+/**
+ * Taxable value and tax per GST slab
+ * @param {object[]} lines - Lines from extractTallyLines
+ * @returns {Array<{gstRate: number, taxable: number, tax: number}>}
+ */
+export function summarizeGstSlabs(lines) {
+  const slabs = new Map();
+  lines.forEach(line => {
+    const slab = slabs.get(line.gstRate) || { gstRate: line.gstRate, taxable: 0, tax: 0 };
+    slab.taxable += line.amount;
+    slabs.set(line.gstRate, slab);
+  });
+  return [...slabs.values()]
+    .map(slab => ({ ...slab, taxable: round2(slab.taxable), tax: round2(slab.taxable * slab.gstRate / 100) }))
+    .sort((a, b) => a.gstRate - b.gstRate);
+}
+
+function stockItemMaster(line, settings) {
+  return `
+    <TALLYMESSAGE xmlns:UDF="TallyUDF">
+     <STOCKITEM NAME="${escapeXml(line.product)}">
+      <NAME.LIST><NAME>${escapeXml(line.product)}</NAME></NAME.LIST>
+      <BASEUNITS>${escapeXml(settings.unit)}</BASEUNITS>
+      <ISBATCHWISEON>Yes</ISBATCHWISEON>
+      <GSTAPPLICABLE>Applicable</GSTAPPLICABLE>
+      <GSTDETAILS.LIST>
+       <APPLICABLEFROM>20170701</APPLICABLEFROM>
+       <HSNCODE>${escapeXml(line.hsn)}</HSNCODE>
+       <TAXABILITY>Taxable</TAXABILITY>
+      </GSTDETAILS.LIST>
+     </STOCKITEM>
+    </TALLYMESSAGE>`;
+}
+
+function inventoryEntry(line, settings) {
+  const billedQty = `${line.qty} ${settings.unit}`;
+  const actualQty = `${line.qty + line.free} ${settings.unit}`;
+  const amount = formatAmount(-line.amount);
+
+  return `
+       <ALLINVENTORYENTRIES.LIST>
+        <STOCKITEMNAME>${escapeXml(line.product)}</STOCKITEMNAME>
+        <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
+        <RATE>${formatAmount(line.rate)}/${escapeXml(settings.unit)}</RATE>
+        <DISCOUNT>${line.discount}</DISCOUNT>
+        <AMOUNT>${amount}</AMOUNT>
+        <ACTUALQTY> ${actualQty}</ACTUALQTY>
+        <BILLEDQTY> ${billedQty}</BILLEDQTY>
+        <BATCHALLOCATIONS.LIST>
+         <GODOWNNAME>${escapeXml(settings.godown)}</GODOWNNAME>
+         <BATCHNAME>${escapeXml(line.batch || 'Primary Batch')}</BATCHNAME>
+         <AMOUNT>${amount}</AMOUNT>
+         <ACTUALQTY> ${actualQty}</ACTUALQTY>
+         <BILLEDQTY> ${billedQty}</BILLEDQTY>
+        </BATCHALLOCATIONS.LIST>
+        <ACCOUNTINGALLOCATIONS.LIST>
+         <LEDGERNAME>${escapeXml(settings.purchaseLedger)}</LEDGERNAME>
+         <ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE>
+         <AMOUNT>${amount}</AMOUNT>
+        </ACCOUNTINGALLOCATIONS.LIST>
+       </ALLINVENTORYENTRIES.LIST>`;
+}
+
+function ledgerEntry(ledgerName, amount, isDebit) {
+  return `
+       <LEDGERENTRIES.LIST>
+        <LEDGERNAME>${escapeXml(ledgerName)}</LEDGERNAME>
+        <ISDEEMEDPOSITIVE>${isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+        <ISPARTYLEDGER>${isDebit ? 'No' : 'Yes'}</ISPARTYLEDGER>
+        <AMOUNT>${formatAmount(isDebit ? -amount : amount)}</AMOUNT>
+       </LEDGERENTRIES.LIST>`;
+}
+
+/**
+ * Build the GST ledger splits for each slab
+ * @param {object[]} slabs - From summarizeGstSlabs
+ * @param {object} settings - Tally settings
+ * @returns {Array<{ledger: string, amount: number}>}
+ */
+export function buildGstLedgerSplits(slabs, settings) {
+  const splits = [];
+  slabs.filter(slab => slab.gstRate > 0).forEach(slab => {
+    if (settings.interState) {
+      splits.push({ ledger: fillRate(settings.igstLedger, slab.gstRate), amount: slab.tax });
+    } else {
+      // Intra-state tax is split evenly between the central and state ledgers
+      const half = round2(slab.tax / 2);
+      splits.push({ ledger: fillRate(settings.cgstLedger, slab.gstRate / 2), amount: half });
+      splits.push({ ledger: fillRate(settings.sgstLedger, slab.gstRate / 2), amount: round2(slab.tax - half) });
+    }
+  });
+  return splits;
+}
+
+/**
+ * Build Tally import XML containing one purchase voucher for the invoice
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} options - Overrides for DEFAULT_TALLY_SETTINGS; gstConvention says whether AMOUNT includes GST
+ * @returns {string} XML document
+ */
+export function buildTallyXml(rows, options = {}) {
+  const settings = { ...DEFAULT_TALLY_SETTINGS, ...options };
+  if (!settings.partyLedger.trim()) {
+    throw new Error('A party ledger name is required for Tally export');
+  }
+
+  // Vouchers carry the taxable value; GST is added once through the ledger splits
+  const lines = toTaxableLines(extractTallyLines(rows), settings.gstConvention);
+  if (lines.length === 0) {
+    throw new Error('No line items with a product and quantity were found');
+  }
+
+  const splits = buildGstLedgerSplits(summarizeGstSlabs(lines), settings);
+  // The party is credited with the sum of the rounded debits so the voucher always balances
+  const partyTotal = round2(
+    lines.reduce((sum, line) => sum + round2(line.amount), 0) +
+    splits.reduce((sum, split) => sum + split.amount, 0)
+  );
+
+  const uniqueItems = [...new Map(lines.map(line => [line.product, line])).values()];
+  const masters = settings.includeStockItems ? uniqueItems.map(line => stockItemMaster(line, settings)).join('') : '';
+  const date = toTallyDate(settings.voucherDate);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+ <HEADER>
+  <TALLYREQUEST>Import Data</TALLYREQUEST>
+ </HEADER>
+ <BODY>
+  <IMPORTDATA>
+   <REQUESTDESC>
+    <REPORTNAME>Vouchers</REPORTNAME>${settings.companyName ? `
+    <STATICVARIABLES>
+     <SVCURRENTCOMPANY>${escapeXml(settings.companyName)}</SVCURRENTCOMPANY>
+    </STATICVARIABLES>` : ''}
+   </REQUESTDESC>
+   <REQUESTDATA>${masters}
+    <TALLYMESSAGE xmlns:UDF="TallyUDF">
+     <VOUCHER VCHTYPE="${escapeXml(settings.voucherType)}" ACTION="Create" OBJVIEW="Invoice Voucher View">
+      <DATE>${date}</DATE>
+      <REFERENCEDATE>${date}</REFERENCEDATE>
+      <VOUCHERTYPENAME>${escapeXml(settings.voucherType)}</VOUCHERTYPENAME>
+      <VOUCHERNUMBER>${escapeXml(settings.voucherNumber)}</VOUCHERNUMBER>
+      <REFERENCE>${escapeXml(settings.voucherNumber)}</REFERENCE>
+      <PARTYLEDGERNAME>${escapeXml(settings.partyLedger)}</PARTYLEDGERNAME>
+      <PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>
+      <ISINVOICE>Yes</ISINVOICE>${ledgerEntry(settings.partyLedger, partyTotal, false)}${lines.map(line => inventoryEntry(line, settings)).join('')}${splits.map(split => ledgerEntry(split.ledger, split.amount, true)).join('')}
+     </VOUCHER>
+    </TALLYMESSAGE>
+   </REQUESTDATA>
+  </IMPORTDATA>
+ </BODY>
+</ENVELOPE>
+`;
+}
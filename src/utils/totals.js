@@ -0,0 +1,90 @@
+/**
+ * Invoice totals and GST breakdown for reconciling against the printed invoice
+ */
+
+import { extractTallyLines, summarizeGstSlabs } from './tally';
+
+// Printed totals are usually rounded to the nearest rupee
+export const RECONCILE_TOLERANCE = 1;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether a line's AMOUNT already includes GST, under the convention chosen for validation
+ * 'auto' picks whichever reading of qty × rate the amount is closer to
+ * @param {object} line - Line from extractTallyLines
+ * @param {string} gstConvention - 'auto', 'exclusive' or 'inclusive' (see GST_CONVENTIONS)
+ * @returns {boolean}
+ */
+function amountIncludesGst(line, gstConvention) {
+  if (gstConvention !== 'auto') return gstConvention === 'inclusive';
+  if (!(line.qty > 0 && line.rate > 0 && line.gstRate > 0)) return false;
+
+  const exclusive = line.qty * line.rate * (1 - line.discount / 100);
+  const inclusive = exclusive * (1 + line.gstRate / 100);
+  return Math.abs(line.amount - inclusive) < Math.abs(line.amount - exclusive);
+}
+
+/**
+ * Lines with AMOUNT reduced to the taxable value, backing GST out of amounts that include it
+ * @param {object[]} lines - Lines from extractTallyLines
+ * @param {string} gstConvention - 'auto', 'exclusive' or 'inclusive' (see GST_CONVENTIONS)
+ * @returns {object[]} New array; lines already before GST are returned as they are
+ */
+export function toTaxableLines(lines, gstConvention = 'exclusive') {
+  return lines.map(line => (
+    amountIncludesGst(line, gstConvention)
+      ? { ...line, amount: round2(line.amount / (1 + line.gstRate / 100)) }
+      : line
+  ));
+}
+
+/**
+ * Totals of the line items in a result table
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} options
+ * @param {boolean} options.interState - Report IGST instead of a CGST/SGST split
+ * @param {string} options.gstConvention - How AMOUNT treats GST, as in validation; inclusive amounts have the tax backed out
+ * @returns {{lineCount: number, qty: number, free: number, amountTotal: number, taxable: number, tax: number, grandTotal: number,
+ *   slabs: Array<{gstRate: number, taxable: number, tax: number, cgst: number, sgst: number, igst: number}>}}
+ */
+export function summarizeInvoice(rows, { interState = false, gstConvention = 'exclusive' } = {}) {
+  const rawLines = extractTallyLines(rows);
+  const lines = toTaxableLines(rawLines, gstConvention);
+  const slabs = summarizeGstSlabs(lines).map(slab => {
+    const half = round2(slab.tax / 2);
+    return {
+      ...slab,
+      cgst: interState ? 0 : half,
+      sgst: interState ? 0 : round2(slab.tax - half),
+      igst: interState ? slab.tax : 0
+    };
+  });
+
+  const taxable = round2(slabs.reduce((sum, slab) => sum + slab.taxable, 0));
+  const tax = round2(slabs.reduce((sum, slab) => sum + slab.tax, 0));
+
+  return {
+    lineCount: lines.length,
+    qty: round2(lines.reduce((sum, line) => sum + line.qty, 0)),
+    free: round2(lines.reduce((sum, line) => sum + line.free, 0)),
+    amountTotal: round2(rawLines.reduce((sum, line) => sum + line.amount, 0)),
+    taxable,
+    tax,
+    grandTotal: round2(taxable + tax),
+    slabs
+  };
+}
+
+/**
+ * Compare a computed total with the figure printed on the invoice
+ * @param {number} computed
+ * @param {string} printed - Value typed by the user
+ * @returns {{difference: number, matches: boolean}|null} null when nothing was typed
+ */
+export function reconcileTotal(computed, printed) {
+  const value = parseFloat(String(printed ?? '').replace(/[^0-9.-]/g, ''));
+  if (!Number.isFinite(value)) return null;
+  const difference = round2(value - computed);
+  return { difference, matches: Math.abs(difference) <= RECONCILE_TOLERANCE };
+}
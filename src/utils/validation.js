@@ -0,0 +1,137 @@
+/**
+ * Arithmetic and format checks for extracted invoice line items
+ */
+
+import { findColumns } from './columnMapping';
+import { serializeCsv } from './csv';
+
+export const VALID_GST_RATES = [0, 5, 12, 18, 28];
+export const VALID_HSN_LENGTHS = [4, 6, 8];
+
+const HSN_LENGTHS_TEXT = `${VALID_HSN_LENGTHS.slice(0, -1).join(', ')} or ${VALID_HSN_LENGTHS[VALID_HSN_LENGTHS.length - 1]}`;
+
+// How the supplier's AMOUNT column treats GST
+export const GST_CONVENTIONS = [
+  { id: 'auto', label: 'Detect (either)' },
+  { id: 'exclusive', label: 'Before GST' },
+  { id: 'inclusive', label: 'Including GST' }
+];
+
+export const DEFAULT_VALIDATION_OPTIONS = {
+  gstConvention: 'auto',
+  tolerance: 1
+};
+
+/**
+ * Parse a numeric cell, ignoring currency symbols and thousands separators
+ * @param {string} value
+ * @returns {number|null} null when the cell holds no number
+ */
+function parseNumber(value) {
+  const cleaned = String(value ?? '').replace(/[^0-9.-]/g, '');
+  if (!cleaned) return null;
+  const parsed = parseFloat(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+const formatNumber = (value) => (Math.round(value * 100) / 100).toFixed(2);
+
+/**
+ * Check every line item of a table
+ * Rows without a product and quantity (headings, subtotals, blank lines) are skipped
+ * @param {string[][]} rows - Table with the header in the first row
+ * @param {object} options - Overrides for DEFAULT_VALIDATION_OPTIONS
+ * @returns {{issues: Array<{row: number, col: number, column: string, check: string, value: string, expected: string, message: string}>, checkedRows: number}}
+ *   row is the index in rows, so the header is row 0
+ */
+export function validateRows(rows, options = {}) {
+  const { gstConvention, tolerance } = { ...DEFAULT_VALIDATION_OPTIONS, ...options };
+  const [header = [], ...body] = rows;
+  const columns = findColumns(header);
+  const issues = [];
+  let checkedRows = 0;
+
+  const cellAt = (row, key) => (columns[key] >= 0 ? (row[columns[key]] ?? '').trim() : '');
+  const addIssue = (rowIndex, key, check, value, expected, message) => {
+    issues.push({ row: rowIndex, col: columns[key], column: header[columns[key]], check, value, expected, message });
+  };
+
+  body.forEach((row, bodyIndex) => {
+    const rowIndex = bodyIndex + 1;
+    const qty = parseNumber(cellAt(row, 'qty'));
+    if (!cellAt(row, 'product') && qty === null) return;
+    checkedRows++;
+
+    const rate = parseNumber(cellAt(row, 'rate'));
+    const amount = parseNumber(cellAt(row, 'amount'));
+    const discount = parseNumber(cellAt(row, 'discount')) ?? 0;
+    const gst = parseNumber(cellAt(row, 'gst'));
+
+    if (qty !== null && rate !== null && amount !== null) {
+      const exclusive = qty * rate * (1 - discount / 100);
+      const inclusive = exclusive * (1 + (gst ?? 0) / 100);
+      const candidates = {
+        auto: [exclusive, inclusive],
+        exclusive: [exclusive],
+        inclusive: [inclusive]
+      }[gstConvention] || [exclusive];
+
+      if (!candidates.some(expected => Math.abs(amount - expected) <= tolerance)) {
+        const expected = candidates.map(formatNumber).join(' or ');
+        addIssue(rowIndex, 'amount', 'amount', cellAt(row, 'amount'), expected,
+          `AMOUNT ${formatNumber(amount)} doesn't match QTY × RATE${discount ? ' less DISC%' : ''} = ${expected}`);
+      }
+    }
+
+    const gstCell = cellAt(row, 'gst');
+    if (gstCell && (gst === null || !VALID_GST_RATES.includes(gst))) {
+      addIssue(rowIndex, 'gst', 'gst', gstCell, VALID_GST_RATES.join('/'),
+        `GST% ${gstCell} is not one of ${VALID_GST_RATES.join('/')}`);
+    }
+
+    const hsnCell = cellAt(row, 'hsn');
+    const hsnDigits = hsnCell.replace(/\s/g, '');
+    if (hsnCell && (!/^\d+$/.test(hsnDigits) || !VALID_HSN_LENGTHS.includes(hsnDigits.length))) {
+      addIssue(rowIndex, 'hsn', 'hsn', hsnCell, `${HSN_LENGTHS_TEXT} digits`,
+        `HSN ${hsnCell} should be ${HSN_LENGTHS_TEXT} digits`);
+    }
+  });
+
+  return { issues, checkedRows };
+}
+
+/**
+ * Issue messages per cell, for highlighting
+ * @param {object[]} issues - From validateRows
+ * @returns {Map<string, string[]>} Keyed by "row:col"
+ */
+export function groupIssuesByCell(issues) {
+  const byCell = new Map();
+  issues.forEach(issue => {
+    const key = `${issue.row}:${issue.col}`;
+    byCell.set(key, [...(byCell.get(key) || []), issue.message]);
+  });
+  return byCell;
+}
+
+/**
+ * Validation report as CSV text
+ * @param {object[]} issues - From validateRows
+ * @param {string[][]} rows - The validated table, to include the product of each row
+ * @returns {string}
+ */
+export function buildValidationReport(issues, rows) {
+  const productColumn = findColumns(rows[0] || []).product;
+  return serializeCsv([
+    ['ROW', 'PRODUCT', 'COLUMN', 'CHECK', 'VALUE', 'EXPECTED', 'MESSAGE'],
+    ...issues.map(issue => [
+      String(issue.row),
+      productColumn >= 0 ? rows[issue.row]?.[productColumn] ?? '' : '',
+      issue.column,
+      issue.check,
+      issue.value,
+      issue.expected,
+      issue.message
+    ])
+  ]);
+}